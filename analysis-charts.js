@@ -0,0 +1,438 @@
+// Charts of an analysis as standalone SVG markup: top venues as horizontal
+// bars, research areas as a donut and papers per year stacked by research
+// area. Plain strings with no library, so they render under the popup's
+// script-src 'self' policy and download as self-contained .svg files. Pure
+// functions shared by the popup and the Node tests; only toPngBlob needs a
+// browser
+(function (root) {
+  const FONT = "Segoe UI, Tahoma, Geneva, Verdana, sans-serif";
+  const WIDTH = 560;
+
+  // Research areas keep one color in every chart; areas beyond the palette
+  // and venues without an area use the neutral colors
+  const PALETTE = [
+    "#1a73e8",
+    "#e8710a",
+    "#188038",
+    "#a142f4",
+    "#d93025",
+    "#12b5cb",
+    "#f9ab00",
+    "#e52592",
+  ];
+  const OTHER_COLOR = "#bdc1c6";
+  const UNCATEGORIZED_COLOR = "#9aa0a6";
+
+  // Slices or stacks beyond this many areas are grouped as "Other"
+  const MAX_SERIES = 6;
+
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Coordinates with one decimal keep the markup short
+  function round(value) {
+    return Math.round(value * 10) / 10;
+  }
+
+  function shorten(text, maxLength) {
+    return text.length > maxLength
+      ? `${text.slice(0, maxLength - 1).trim()}…`
+      : text;
+  }
+
+  function svgDocument(width, height, title, body) {
+    return (
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}" font-family="${FONT}" role="img">` +
+      `<title>${escapeXml(title)}</title>` +
+      `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+      body +
+      "</svg>"
+    );
+  }
+
+  function text(x, y, content, attributes) {
+    return `<text x="${round(x)}" y="${round(y)}" ${
+      attributes || ""
+    }>${escapeXml(content)}</text>`;
+  }
+
+  // Color per research area key, in the order of analysis.categories
+  // (largest first); null stands for venues without an area
+  function categoryColors(categories) {
+    const colors = {};
+    let next = 0;
+    (categories || []).forEach((item) => {
+      if (!item.category) return;
+      colors[item.category] =
+        next < PALETTE.length ? PALETTE[next] : OTHER_COLOR;
+      next++;
+    });
+    return (category) =>
+      category ? colors[category] || OTHER_COLOR : UNCATEGORIZED_COLOR;
+  }
+
+  // The largest areas, then one "Other" entry for the rest
+  // Returns [{ key, name, count, color }] where key is the area key, null
+  // for uncategorized venues or "other"
+  function groupCategories(categories, maxSeries) {
+    const colorFor = categoryColors(categories);
+    const limit = maxSeries || MAX_SERIES;
+    const groups = (categories || []).slice(0, limit).map((item) => ({
+      key: item.category || null,
+      name: item.name || "Uncategorized",
+      count: item.count,
+      color: colorFor(item.category),
+    }));
+
+    const rest = (categories || []).slice(limit);
+    if (rest.length > 0) {
+      groups.push({
+        key: "other",
+        name: "Other",
+        count: rest.reduce((sum, item) => sum + item.count, 0),
+        color: OTHER_COLOR,
+      });
+    }
+    return groups;
+  }
+
+  // Top venues as horizontal bars colored by research area
+  function venueBarChart(analysis, limit) {
+    const venues = (analysis.venues || []).slice(0, limit || 10);
+    const colorFor = categoryColors(analysis.categories);
+    const rowHeight = 24;
+    const labelWidth = 170;
+    const valueWidth = 40;
+    const top = 12;
+    const height = top * 2 + Math.max(1, venues.length) * rowHeight;
+    const maxCount = venues.length > 0 ? venues[0].count : 1;
+    const barSpace = WIDTH - labelWidth - valueWidth - 20;
+
+    const rows = venues.map((item, index) => {
+      const y = top + index * rowHeight;
+      const barWidth = Math.max(2, (item.count / maxCount) * barSpace);
+      return (
+        `<g><title>${escapeXml(
+          `${item.venue}: ${item.count} paper${item.count === 1 ? "" : "s"}`
+        )}</title>` +
+        text(
+          labelWidth - 8,
+          y + 16,
+          shorten(item.venue, 26),
+          'text-anchor="end" font-size="12" fill="#3c4043"'
+        ) +
+        `<rect x="${labelWidth}" y="${y + 5}" width="${round(
+          barWidth
+        )}" height="${rowHeight - 10}" rx="3" fill="${colorFor(
+          item.category
+        )}"/>` +
+        text(
+          labelWidth + barWidth + 6,
+          y + 16,
+          item.count,
+          'font-size="12" fill="#3c4043"'
+        ) +
+        "</g>"
+      );
+    });
+
+    return svgDocument(WIDTH, height, "Top publication venues", rows.join(""));
+  }
+
+  // Point on a circle, clockwise from 12 o'clock
+  function polar(cx, cy, radius, fraction) {
+    const angle = 2 * Math.PI * fraction - Math.PI / 2;
+    return [
+      round(cx + radius * Math.cos(angle)),
+      round(cy + radius * Math.sin(angle)),
+    ];
+  }
+
+  // Ring segment between two fractions of the full circle
+  function donutSegment(cx, cy, outer, inner, start, end) {
+    const largeArc = end - start > 0.5 ? 1 : 0;
+    const [x1, y1] = polar(cx, cy, outer, start);
+    const [x2, y2] = polar(cx, cy, outer, end);
+    const [x3, y3] = polar(cx, cy, inner, end);
+    const [x4, y4] = polar(cx, cy, inner, start);
+    return (
+      `M${x1} ${y1}A${outer} ${outer} 0 ${largeArc} 1 ${x2} ${y2}` +
+      `L${x3} ${y3}A${inner} ${inner} 0 ${largeArc} 0 ${x4} ${y4}Z`
+    );
+  }
+
+  // Research areas as a donut with the paper total in the middle and a
+  // legend on the right
+  function categoryDonut(analysis) {
+    const groups = groupCategories(analysis.categories);
+    const total = groups.reduce((sum, group) => sum + group.count, 0);
+    const height = Math.max(200, 30 + groups.length * 22);
+    const cx = 100;
+    const cy = height / 2;
+    const outer = 80;
+    const inner = 50;
+
+    let start = 0;
+    const segments = groups.map((group) => {
+      const share = total > 0 ? group.count / total : 0;
+      const end = start + share;
+      const label = `${group.name}: ${group.count} (${Math.round(
+        share * 100
+      )}%)`;
+      // A single area fills the ring, which one arc cannot draw
+      const shape =
+        share >= 0.9999
+          ? `<circle cx="${cx}" cy="${round(cy)}" r="${
+              (outer + inner) / 2
+            }" fill="none" stroke="${group.color}" stroke-width="${
+              outer - inner
+            }"/>`
+          : `<path d="${donutSegment(
+              cx,
+              cy,
+              outer,
+              inner,
+              start,
+              end
+            )}" fill="${group.color}"/>`;
+      start = end;
+      return `<g><title>${escapeXml(label)}</title>${shape}</g>`;
+    });
+
+    const legendTop = cy - (groups.length * 22) / 2;
+    const legend = groups.map((group, index) => {
+      const y = legendTop + index * 22;
+      const share = total > 0 ? Math.round((group.count / total) * 100) : 0;
+      return (
+        `<rect x="210" y="${round(
+          y + 4
+        )}" width="12" height="12" rx="2" fill="${group.color}"/>` +
+        text(
+          230,
+          y + 14,
+          `${shorten(group.name, 44)} · ${group.count} (${share}%)`,
+          'font-size="12" fill="#3c4043"'
+        )
+      );
+    });
+
+    return svgDocument(
+      WIDTH,
+      height,
+      "Research areas",
+      segments.join("") +
+        text(
+          cx,
+          cy + 2,
+          total,
+          'text-anchor="middle" font-size="20" font-weight="600" fill="#202124"'
+        ) +
+        text(
+          cx,
+          cy + 18,
+          total === 1 ? "paper" : "papers",
+          'text-anchor="middle" font-size="11" fill="#5f6368"'
+        ) +
+        legend.join("")
+    );
+  }
+
+  // Papers per year split by research area, with empty years filled in
+  // Returns { years: [year], series: [{ key, name, color, counts: [n] }] }
+  function yearCategorySeries(analysis, maxSeries) {
+    const timeline = analysis.timeline || [];
+    const groups = groupCategories(analysis.categories, maxSeries);
+    if (timeline.length === 0) return { years: [], series: [] };
+
+    const venueCategory = {};
+    (analysis.venues || []).forEach((item) => {
+      venueCategory[item.venue] = item.category || null;
+    });
+    const groupIndex = (category) => {
+      const index = groups.findIndex((group) => group.key === category);
+      return index !== -1
+        ? index
+        : groups.findIndex((group) => group.key === "other");
+    };
+
+    const years = [];
+    for (
+      let year = timeline[0].year;
+      year <= timeline[timeline.length - 1].year;
+      year++
+    ) {
+      years.push(year);
+    }
+
+    const series = groups.map((group) => ({
+      key: group.key,
+      name: group.name,
+      color: group.color,
+      counts: years.map(() => 0),
+    }));
+    timeline.forEach((entry) => {
+      const column = entry.year - years[0];
+      entry.venues.forEach((item) => {
+        const index = groupIndex(venueCategory[item.venue] || null);
+        if (index !== -1) series[index].counts[column] += item.count;
+      });
+    });
+
+    return { years, series };
+  }
+
+  // Round the axis maximum up to 1, 2, 4, 6 or 8 times a power of ten, so
+  // the middle grid line falls on a whole number of papers
+  function niceMaximum(value) {
+    const magnitude = Math.pow(10, Math.floor(Math.log10(Math.max(1, value))));
+    const step = [1, 2, 4, 6, 8, 10].find(
+      (factor) => factor * magnitude >= value
+    );
+    return step * magnitude;
+  }
+
+  // Papers per year as columns stacked by research area
+  function yearStackedChart(analysis) {
+    const { years, series } = yearCategorySeries(analysis);
+    const left = 36;
+    const right = 12;
+    const top = 12;
+    const plotHeight = 160;
+    const legendRows = Math.ceil(series.length / 3);
+    const height = top + plotHeight + 24 + legendRows * 20 + 8;
+    const plotWidth = WIDTH - left - right;
+
+    const totals = years.map((year, column) =>
+      series.reduce((sum, item) => sum + item.counts[column], 0)
+    );
+    const maxTotal = niceMaximum(Math.max(1, ...totals));
+    const scale = plotHeight / maxTotal;
+    const slot = years.length > 0 ? plotWidth / years.length : plotWidth;
+    const barWidth = Math.max(2, slot * 0.7);
+    const baseline = top + plotHeight;
+
+    const grid = Array.from(new Set([0, Math.round(maxTotal / 2), maxTotal]))
+      .map((value) => {
+        const y = baseline - value * scale;
+        return (
+          `<line x1="${left}" y1="${round(y)}" x2="${
+            WIDTH - right
+          }" y2="${round(y)}" stroke="#e8eaed"/>` +
+          text(
+            left - 6,
+            y + 4,
+            value,
+            'text-anchor="end" font-size="10" fill="#5f6368"'
+          )
+        );
+      })
+      .join("");
+
+    // Label every year while they fit, otherwise every few years
+    const labelEvery = Math.ceil(years.length / 15);
+    const columns = years
+      .map((year, column) => {
+        const x = left + column * slot + (slot - barWidth) / 2;
+        let y = baseline;
+        const parts = series
+          .filter((item) => item.counts[column] > 0)
+          .map((item) => {
+            const barHeight = item.counts[column] * scale;
+            y -= barHeight;
+            return `<rect x="${round(x)}" y="${round(y)}" width="${round(
+              barWidth
+            )}" height="${round(barHeight)}" fill="${item.color}"/>`;
+          })
+          .join("");
+        const label =
+          column % labelEvery === 0
+            ? text(
+                x + barWidth / 2,
+                baseline + 14,
+                `'${String(year).slice(-2)}`,
+                'text-anchor="middle" font-size="10" fill="#5f6368"'
+              )
+            : "";
+        return `<g><title>${escapeXml(
+          `${year}: ${totals[column]} paper${totals[column] === 1 ? "" : "s"}`
+        )}</title>${parts}</g>${label}`;
+      })
+      .join("");
+
+    const legendTop = baseline + 26;
+    const legend = series
+      .map((item, index) => {
+        const x = left + (index % 3) * (plotWidth / 3);
+        const y = legendTop + Math.floor(index / 3) * 20;
+        return (
+          `<rect x="${round(x)}" y="${y}" width="12" height="12" rx="2" fill="${
+            item.color
+          }"/>` +
+          text(
+            x + 18,
+            y + 10,
+            shorten(item.name, 26),
+            'font-size="11" fill="#3c4043"'
+          )
+        );
+      })
+      .join("");
+
+    return svgDocument(
+      WIDTH,
+      height,
+      "Papers per year by research area",
+      grid + columns + legend
+    );
+  }
+
+  // Browser only: draw chart markup on a canvas and resolve with a PNG
+  // blob, scaled up so it stays sharp on slides
+  function toPngBlob(svg, scale) {
+    const factor = scale || 2;
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(
+        new Blob([svg], { type: "image/svg+xml" })
+      );
+      const image = new Image();
+      image.onload = function () {
+        const canvas = document.createElement("canvas");
+        canvas.width = image.width * factor;
+        canvas.height = image.height * factor;
+        const context = canvas.getContext("2d");
+        context.scale(factor, factor);
+        context.drawImage(image, 0, 0);
+        URL.revokeObjectURL(url);
+        canvas.toBlob((blob) =>
+          blob ? resolve(blob) : reject(new Error("Could not create PNG"))
+        );
+      };
+      image.onerror = function () {
+        URL.revokeObjectURL(url);
+        reject(new Error("Could not draw chart"));
+      };
+      image.src = url;
+    });
+  }
+
+  const AnalysisCharts = {
+    categoryColors,
+    yearCategorySeries,
+    venueBarChart,
+    categoryDonut,
+    yearStackedChart,
+    toPngBlob,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = AnalysisCharts;
+  } else {
+    root.AnalysisCharts = AnalysisCharts;
+  }
+})(typeof self !== "undefined" ? self : this);
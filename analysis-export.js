@@ -0,0 +1,287 @@
+// Export helpers that turn an analysis result into downloadable files
+// The serializers are pure and also run under Node for tests; only
+// downloadFile needs a browser
+(function (root) {
+  const PAPER_COLUMNS = [
+    "title",
+    "authors",
+    "venueText",
+    "venue",
+    "category",
+    "tier",
+    "year",
+    "citations",
+  ];
+
+  const VENUE_COLUMNS = [
+    "rank",
+    "venue",
+    "category",
+    "tier",
+    "count",
+    "totalCitations",
+    "medianCitations",
+    "hIndex",
+    "mostCitedTitle",
+    "mostCitedCitations",
+  ];
+
+  const BATCH_COLUMNS = [
+    "name",
+    "userId",
+    "url",
+    "status",
+    "error",
+    "saveError",
+    "totalFound",
+    "uniqueVenues",
+    "topTierPapers",
+    "topVenues",
+  ];
+
+  // Quote a single CSV field when it contains separators, quotes or newlines
+  // Text starting with =, +, - or @ gets a leading apostrophe so spreadsheets
+  // show it instead of running it as a formula; Scholar titles and venues are
+  // free text typed by anyone
+  function csvField(value) {
+    if (value === null || value === undefined) return "";
+    let text = String(value);
+    if (typeof value !== "number" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCsv(columns, rows) {
+    const lines = [columns.join(",")];
+    rows.forEach((row) => {
+      lines.push(columns.map((column) => csvField(row[column])).join(","));
+    });
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // One row per scraped publication, including skipped ones
+  function toPapersCsv(analysis) {
+    return toCsv(PAPER_COLUMNS, analysis.publications || []);
+  }
+
+  // One row per normalized venue, in ranking order
+  function toVenuesCsv(analysis) {
+    const rows = (analysis.venues || []).map((item, index) => ({
+      rank: index + 1,
+      venue: item.venue,
+      category: item.category,
+      tier: item.tier,
+      count: item.count,
+      totalCitations: item.totalCitations,
+      medianCitations: item.medianCitations,
+      hIndex: item.hIndex,
+      mostCitedTitle: item.mostCitedPaper ? item.mostCitedPaper.title : "",
+      mostCitedCitations: item.mostCitedPaper
+        ? item.mostCitedPaper.citations
+        : "",
+    }));
+    return toCsv(VENUE_COLUMNS, rows);
+  }
+
+  function toJson(analysis) {
+    return JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        profile: analysis.profile || null,
+        scope: analysis.scope || null,
+        summary: {
+          totalFound: analysis.totalFound || 0,
+          totalProcessed: analysis.totalProcessed || 0,
+          totalSkipped: analysis.totalSkipped || 0,
+          uniqueVenues: (analysis.venues || []).length,
+          topTier: analysis.topTier || null,
+        },
+        venues: analysis.venues || [],
+        categories: analysis.categories || [],
+        tiers: analysis.tiers || [],
+        timeline: analysis.timeline || [],
+        publications: analysis.publications || [],
+      },
+      null,
+      2
+    );
+  }
+
+  // One row per profile of a batch job, including failed ones
+  function toBatchReportCsv(job) {
+    const rows = (job.items || []).map((item) => ({
+      ...item,
+      topVenues: (item.topVenues || []).join("; "),
+    }));
+    return toCsv(BATCH_COLUMNS, rows);
+  }
+
+  // Batch job with the full analysis of every profile that succeeded
+  // analyses maps snapshot keys to stored analyses
+  function toBatchJson(job, analyses) {
+    return JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        batch: {
+          id: job.id,
+          status: job.status,
+          startedAt: job.startedAt,
+          finishedAt: job.finishedAt,
+        },
+        profiles: (job.items || []).map((item) => ({
+          ...item,
+          analysis: (item.snapshotKey && analyses[item.snapshotKey]) || null,
+        })),
+      },
+      null,
+      2
+    );
+  }
+
+  // Escape characters that have a special meaning inside BibTeX values
+  function bibtexValue(text) {
+    // One pass, so the braces of \textbackslash{} are not escaped again
+    return String(text).replace(/[\\{}&%$#_]/g, (char) =>
+      char === "\\" ? "\\textbackslash{}" : `\\${char}`
+    );
+  }
+
+  // Scholar lists authors as "A Smith, B Jones, ..." with "..." when truncated
+  function bibtexAuthors(authors) {
+    const truncated = /\.\.\.|…/.test(authors);
+    const names = authors
+      .replace(/\.\.\.|…/g, "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => name.length > 0);
+
+    if (truncated) names.push("others");
+    return names.join(" and ");
+  }
+
+  // Suffix number 0, 1, ... as a, b, ..., z, aa, ab, ... so keys stay letters
+  function letterSuffix(index) {
+    let suffix = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      suffix = String.fromCharCode(97 + ((n - 1) % 26)) + suffix;
+    }
+    return suffix;
+  }
+
+  function bibtexKey(publication, usedKeys) {
+    const firstAuthor = (publication.authors || "").split(",")[0].trim();
+    const lastName = firstAuthor.split(/\s+/).pop() || "anon";
+    const titleWord =
+      (publication.title || "")
+        .toLowerCase()
+        .split(/\s+/)
+        .find((word) => word.replace(/[^a-z]/g, "").length > 3) || "paper";
+
+    const base = (
+      lastName.toLowerCase() +
+      (publication.year || "") +
+      titleWord
+    ).replace(/[^a-z0-9]/g, "");
+
+    // Disambiguate repeated keys with a, b, c... like most reference managers
+    let key = base;
+    let suffix = 0;
+    while (usedKeys.has(key)) {
+      key = base + letterSuffix(suffix);
+      suffix++;
+    }
+    usedKeys.add(key);
+    return key;
+  }
+
+  // Minimal BibTeX built from the scraped rows only
+  function toBibtex(analysis) {
+    const usedKeys = new Set();
+
+    return (analysis.publications || [])
+      .filter((publication) => publication.title)
+      .map((publication) => {
+        const venueName = publication.venue || publication.venueText;
+        let entryType = "misc";
+        let venueField = "howpublished";
+
+        if (publication.venueType === "conference") {
+          entryType = "inproceedings";
+          venueField = "booktitle";
+        } else if (publication.venueType === "journal") {
+          entryType = "article";
+          venueField = "journal";
+        }
+
+        const fields = [["title", `{${bibtexValue(publication.title)}}`]];
+        if (publication.authors) {
+          fields.push([
+            "author",
+            `{${bibtexValue(bibtexAuthors(publication.authors))}}`,
+          ]);
+        }
+        if (venueName) {
+          fields.push([venueField, `{${bibtexValue(venueName)}}`]);
+        }
+        if (publication.year) {
+          fields.push(["year", `{${publication.year}}`]);
+        }
+        if (publication.link) {
+          fields.push(["url", `{${publication.link}}`]);
+        }
+
+        const body = fields
+          .map(([name, value]) => `  ${name} = ${value}`)
+          .join(",\n");
+        return `@${entryType}{${bibtexKey(publication, usedKeys)},\n${body}\n}`;
+      })
+      .join("\n\n")
+      .concat("\n");
+  }
+
+  // File name like scholar-venues-jane-doe-2024-05-01.csv
+  function buildFileName(analysis, suffix, extension) {
+    const profile = analysis.profile || {};
+    const slug =
+      (profile.name || profile.userId || "profile")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "profile";
+    const date = new Date().toISOString().slice(0, 10);
+    return `scholar-${suffix}-${slug}-${date}.${extension}`;
+  }
+
+  // Trigger a download through a temporary object URL
+  function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  const AnalysisExport = {
+    csvField,
+    toPapersCsv,
+    toVenuesCsv,
+    toJson,
+    toBibtex,
+    toBatchReportCsv,
+    toBatchJson,
+    buildFileName,
+    downloadFile,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = AnalysisExport;
+  } else {
+    root.AnalysisExport = AnalysisExport;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,308 @@
+// Saves completed analyses in chrome.storage.local, keyed by Scholar user id
+// and time, and compares two snapshots of the same profile
+// Storage access runs in extension pages; the diff also runs under Node
+// Pages and workers that load this module load citation-details.js first
+(function (root) {
+  const CitationDetails =
+    typeof module !== "undefined" && module.exports
+      ? require("./citation-details.js")
+      : root.CitationDetails;
+
+  // { [userId]: [{ key, userId, name, savedAt, totalFound, uniqueVenues }] },
+  // newest snapshot first. Snapshots live under their own keys so listing the
+  // history never loads every stored analysis
+  const INDEX_KEY = "analysisHistory";
+  const SNAPSHOT_PREFIX = "analysisSnapshot:";
+
+  // Snapshots pinned for the comparison page: [{ userId, name, key, pinnedAt }],
+  // at most one per researcher
+  const PINNED_KEY = "pinnedAnalyses";
+
+  // Older snapshots are dropped so storage stays well under its quota
+  const MAX_SNAPSHOTS_PER_PROFILE = 10;
+
+  function snapshotKey(userId, savedAt) {
+    return `${SNAPSHOT_PREFIX}${userId}:${savedAt}`;
+  }
+
+  async function loadIndex() {
+    const stored = await chrome.storage.local.get(INDEX_KEY);
+    return stored[INDEX_KEY] || {};
+  }
+
+  // Snapshots of one profile, newest first
+  async function listSnapshots(userId) {
+    const index = await loadIndex();
+    return index[userId] || [];
+  }
+
+  // chrome.storage.local rejects writes past its quota with an error like
+  // "QUOTA_BYTES quota exceeded"
+  function isQuotaError(error) {
+    return Boolean(error) && /quota/i.test(error.message || String(error));
+  }
+
+  // Snapshots that can go to make room, oldest first. The newest snapshot of
+  // every profile is kept, so each researcher stays in the history
+  function pruneCandidates(index) {
+    return Object.values(index)
+      .flatMap((entries) => entries.slice(1))
+      .sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+  }
+
+  // Save a completed analysis; returns its index entry, or null when the
+  // profile has no user id to file it under. When storage is full, the
+  // oldest snapshots of any profile are dropped until the new one fits;
+  // the quota error is thrown only when nothing is left to drop
+  async function saveSnapshot(analysis) {
+    const userId = analysis.profile && analysis.profile.userId;
+    if (!userId) return null;
+
+    const savedAt = new Date().toISOString();
+    const entry = {
+      key: snapshotKey(userId, savedAt),
+      userId: userId,
+      name: analysis.profile.name || userId,
+      savedAt: savedAt,
+      totalFound: analysis.totalFound || 0,
+      uniqueVenues: (analysis.venues || []).length,
+    };
+
+    const index = await loadIndex();
+    const entries = [entry].concat(index[userId] || []);
+    let dropped = entries.slice(MAX_SNAPSHOTS_PER_PROFILE);
+    index[userId] = entries.slice(0, MAX_SNAPSHOTS_PER_PROFILE);
+
+    for (;;) {
+      try {
+        await chrome.storage.local.set({
+          [entry.key]: Object.assign({}, analysis, { savedAt: savedAt }),
+          [INDEX_KEY]: index,
+        });
+        break;
+      } catch (error) {
+        if (!isQuotaError(error)) throw error;
+
+        // Snapshots past the per-profile limit go first, then the oldest
+        if (dropped.length === 0) {
+          const oldest = pruneCandidates(index)[0];
+          if (!oldest) throw error;
+          index[oldest.userId] = index[oldest.userId].filter(
+            (item) => item.key !== oldest.key
+          );
+          dropped = [oldest];
+        }
+        console.log(
+          `🧹 Storage is full, removing ${dropped.length} older snapshot(s)`
+        );
+        await chrome.storage.local.remove(dropped.map((item) => item.key));
+        dropped = [];
+      }
+    }
+    if (dropped.length > 0) {
+      await chrome.storage.local.remove(dropped.map((item) => item.key));
+    }
+
+    return entry;
+  }
+
+  // Returns the stored analysis, or null if it was removed meanwhile
+  async function loadSnapshot(key) {
+    const stored = await chrome.storage.local.get(key);
+    return stored[key] || null;
+  }
+
+  async function deleteSnapshot(userId, key) {
+    const index = await loadIndex();
+    index[userId] = (index[userId] || []).filter((entry) => entry.key !== key);
+    if (index[userId].length === 0) delete index[userId];
+
+    await chrome.storage.local.set({ [INDEX_KEY]: index });
+    await chrome.storage.local.remove(key);
+  }
+
+  // Newest snapshot of every saved profile, sorted by researcher name
+  async function listProfiles() {
+    const index = await loadIndex();
+    return Object.values(index)
+      .filter((entries) => entries.length > 0)
+      .map((entries) => entries[0])
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async function loadPinned() {
+    const stored = await chrome.storage.local.get(PINNED_KEY);
+    return stored[PINNED_KEY] || [];
+  }
+
+  // Pin a snapshot, replacing any snapshot pinned for the same researcher
+  async function pinSnapshot(entry) {
+    const pinned = (await loadPinned()).filter(
+      (pin) => pin.userId !== entry.userId
+    );
+    pinned.push({
+      userId: entry.userId,
+      name: entry.name,
+      key: entry.key,
+      pinnedAt: new Date().toISOString(),
+    });
+    await chrome.storage.local.set({ [PINNED_KEY]: pinned });
+  }
+
+  async function unpinProfile(userId) {
+    const pinned = (await loadPinned()).filter((pin) => pin.userId !== userId);
+    await chrome.storage.local.set({ [PINNED_KEY]: pinned });
+  }
+
+  // Load the analysis behind every pin, in pin order
+  // A pinned snapshot that was pruned or deleted falls back to the newest
+  // snapshot of the same researcher; researchers with none left are skipped
+  async function loadPinnedAnalyses() {
+    const pinned = await loadPinned();
+    const analyses = [];
+
+    for (const pin of pinned) {
+      let analysis = await loadSnapshot(pin.key);
+      if (!analysis) {
+        const entries = await listSnapshots(pin.userId);
+        analysis =
+          entries.length > 0 ? await loadSnapshot(entries[0].key) : null;
+      }
+      if (analysis) analyses.push(analysis);
+    }
+    return analyses;
+  }
+
+  // Identify a paper across snapshots: Scholar's citation id when the row has
+  // a link, otherwise its normalized title and year
+  function paperKey(publication) {
+    const id = CitationDetails.citationId(publication.link);
+    if (id) return id;
+
+    const title = (publication.title || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+    return `${title}|${publication.year || ""}`;
+  }
+
+  function countBy(items, keyFn) {
+    const counts = new Map();
+    items.forEach((item) => {
+      const key = keyFn(item);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+  }
+
+  function sumCitations(publications) {
+    return publications.reduce(
+      (sum, publication) => sum + (publication.citations || 0),
+      0
+    );
+  }
+
+  // Compare an older and a newer analysis of the same profile
+  // Returns { newPapers, removedPapers, venuesGained, venuesLost, venueChanges,
+  // citations: { before, after, delta }, citationGrowth }
+  function diffSnapshots(older, newer) {
+    const olderPapers = older.publications || [];
+    const newerPapers = newer.publications || [];
+
+    const olderByKey = new Map(
+      olderPapers.map((publication) => [paperKey(publication), publication])
+    );
+    const newerByKey = new Map(
+      newerPapers.map((publication) => [paperKey(publication), publication])
+    );
+
+    const newPapers = newerPapers
+      .filter((publication) => !olderByKey.has(paperKey(publication)))
+      .sort((a, b) => (b.year || 0) - (a.year || 0));
+    const removedPapers = olderPapers.filter(
+      (publication) => !newerByKey.has(paperKey(publication))
+    );
+
+    // Venue counts come from the papers so both sides use the same grouping
+    const olderVenues = countBy(
+      olderPapers,
+      (publication) => publication.venue
+    );
+    const newerVenues = countBy(
+      newerPapers,
+      (publication) => publication.venue
+    );
+
+    const venuesGained = [];
+    const venueChanges = [];
+    newerVenues.forEach((count, venue) => {
+      const before = olderVenues.get(venue) || 0;
+      if (before === 0) {
+        venuesGained.push({ venue, count });
+      } else if (before !== count) {
+        venueChanges.push({
+          venue,
+          before,
+          after: count,
+          delta: count - before,
+        });
+      }
+    });
+
+    const venuesLost = [];
+    olderVenues.forEach((count, venue) => {
+      if (!newerVenues.has(venue)) venuesLost.push({ venue, count });
+    });
+
+    const citationGrowth = [];
+    newerByKey.forEach((publication, key) => {
+      const previous = olderByKey.get(key);
+      if (!previous) return;
+      const delta = (publication.citations || 0) - (previous.citations || 0);
+      if (delta !== 0) {
+        citationGrowth.push({
+          title: publication.title,
+          venue: publication.venue,
+          before: previous.citations || 0,
+          after: publication.citations || 0,
+          delta: delta,
+        });
+      }
+    });
+
+    const before = sumCitations(olderPapers);
+    const after = sumCitations(newerPapers);
+
+    return {
+      newPapers,
+      removedPapers,
+      venuesGained: venuesGained.sort((a, b) => b.count - a.count),
+      venuesLost: venuesLost.sort((a, b) => b.count - a.count),
+      venueChanges: venueChanges.sort((a, b) => b.delta - a.delta),
+      citations: { before, after, delta: after - before },
+      citationGrowth: citationGrowth.sort((a, b) => b.delta - a.delta),
+    };
+  }
+
+  const AnalysisHistory = {
+    MAX_SNAPSHOTS_PER_PROFILE,
+    isQuotaError,
+    listSnapshots,
+    saveSnapshot,
+    loadSnapshot,
+    deleteSnapshot,
+    listProfiles,
+    loadPinned,
+    pinSnapshot,
+    unpinProfile,
+    loadPinnedAnalyses,
+    paperKey,
+    diffSnapshots,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = AnalysisHistory;
+  } else {
+    root.AnalysisHistory = AnalysisHistory;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -1,4 +1,7 @@
-// Background script to handle extension state and cleanup
+// Background script to handle extension state, cleanup, analysis jobs and
+// batch analysis
+importScripts("citation-details.js", "analysis-history.js", "batch-job.js");
+
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Clean up when navigating away from Scholar pages
   if (changeInfo.status === "loading" && tab.url) {
@@ -33,3 +36,411 @@ chrome.action.onClicked.addListener((tab) => {
   // This will be handled by the popup, but we can add logging
   console.log("Extension clicked on:", tab.url);
 });
+
+// Analysis jobs: the popup asks the worker to analyze its tab, so the
+// analysis and its result survive the popup closing. One job per tab:
+// { tabId, url, status: "running" | "done" | "error" | "cancelled", progress,
+// error, snapshotKey, result, startedAt, finishedAt }
+const JOBS_STORAGE_KEY = "analysisJobs";
+
+// Jobs of this worker's lifetime; finished jobs are also kept in storage
+const analysisJobs = new Map();
+
+// Open popup ports, and the port to the content script of each running job
+const popupPorts = new Set();
+const contentPorts = new Map();
+
+const BADGE_COLORS = { running: "#1a73e8", done: "#34a853", error: "#d93025" };
+
+// Scripts and styles the manifest injects into Scholar profile pages. Tabs
+// opened before the extension was loaded get the same files, in the same order
+const CONTENT_SCRIPTS = chrome.runtime.getManifest().content_scripts[0];
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "analysis-job") return;
+
+  popupPorts.add(port);
+  port.onDisconnect.addListener(() => popupPorts.delete(port));
+
+  port.onMessage.addListener((message) => {
+    if (message.action === "startAnalysis") {
+      startAnalysisJob(message.tabId, message.url);
+    } else if (message.action === "cancelAnalysis") {
+      const contentPort = contentPorts.get(message.tabId);
+      if (contentPort) contentPort.postMessage({ action: "cancel" });
+    } else if (message.action === "watchAnalysis") {
+      loadAnalysisJob(message.tabId).then((job) => {
+        port.postMessage({ type: "state", job: job });
+      });
+    } else if (message.action === "acknowledgeAnalysis") {
+      setJobBadge(message.tabId, null);
+    }
+  });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  analysisJobs.delete(tabId);
+  chrome.storage.local.get(JOBS_STORAGE_KEY).then((stored) => {
+    const jobs = stored[JOBS_STORAGE_KEY] || {};
+    if (!jobs[tabId]) return;
+    delete jobs[tabId];
+    chrome.storage.local.set({ [JOBS_STORAGE_KEY]: jobs });
+  });
+});
+
+function broadcastToPopups(message) {
+  popupPorts.forEach((port) => port.postMessage(message));
+}
+
+// Running jobs only live in memory; a stored job that is still "running"
+// belonged to a worker that was shut down
+async function loadAnalysisJob(tabId) {
+  if (analysisJobs.has(tabId)) return analysisJobs.get(tabId);
+
+  const stored = await chrome.storage.local.get(JOBS_STORAGE_KEY);
+  const job = (stored[JOBS_STORAGE_KEY] || {})[tabId] || null;
+  if (job && job.status === "running") {
+    job.status = "error";
+    job.error = "The analysis was interrupted. Please analyze again.";
+  }
+  return job;
+}
+
+async function storeAnalysisJob(job) {
+  const stored = await chrome.storage.local.get(JOBS_STORAGE_KEY);
+  const jobs = stored[JOBS_STORAGE_KEY] || {};
+  jobs[job.tabId] = Object.assign({}, job, { progress: null });
+  await chrome.storage.local.set({ [JOBS_STORAGE_KEY]: jobs });
+}
+
+function setJobBadge(tabId, status) {
+  const text = { running: "…", done: "✓", error: "!" }[status] || "";
+  chrome.action.setBadgeText({ tabId: tabId, text: text }).catch(() => {
+    // The tab may have been closed
+  });
+  if (text) {
+    chrome.action
+      .setBadgeBackgroundColor({ tabId: tabId, color: BADGE_COLORS[status] })
+      .catch(() => {});
+  }
+}
+
+async function startAnalysisJob(tabId, url) {
+  const runningJob = analysisJobs.get(tabId);
+  if (runningJob && runningJob.status === "running") {
+    broadcastToPopups({ type: "state", job: runningJob });
+    return;
+  }
+
+  const job = {
+    tabId: tabId,
+    url: url,
+    status: "running",
+    progress: null,
+    error: null,
+    snapshotKey: null,
+    result: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  analysisJobs.set(tabId, job);
+  setJobBadge(tabId, "running");
+  await storeAnalysisJob(job);
+
+  try {
+    await chrome.scripting.insertCSS({
+      target: { tabId: tabId },
+      files: CONTENT_SCRIPTS.css,
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      files: CONTENT_SCRIPTS.js,
+    });
+  } catch (error) {
+    console.error("Error injecting content script:", error);
+    finishAnalysisJob(job, {
+      status: "error",
+      error: "Error loading extension. Please refresh the page and try again.",
+    });
+    return;
+  }
+
+  const message = await runTabAnalysis(tabId, (progress) => {
+    job.progress = progress;
+    broadcastToPopups({ type: "progress", tabId: tabId, progress: progress });
+  });
+
+  if (message.type === "result") {
+    // The history keeps the result; profiles without a user id keep it
+    // on the job instead
+    const entry = await AnalysisHistory.saveSnapshot(message.data).catch(
+      (error) => {
+        console.error("❌ Failed to save analysis history:", error);
+        return null;
+      }
+    );
+    finishAnalysisJob(job, {
+      status: "done",
+      snapshotKey: entry ? entry.key : null,
+      result: entry ? null : message.data,
+    });
+  } else if (message.type === "cancelled") {
+    finishAnalysisJob(job, { status: "cancelled" });
+  } else {
+    finishAnalysisJob(job, {
+      status: "error",
+      error: message.error || "The analysis failed.",
+    });
+  }
+}
+
+// Run the analysis of a tab over the content script's "venue-analysis"
+// port. The progress messages arriving over the port keep this
+// worker alive through long pagination and enrichment runs, which a single
+// sendMessage reply would not. Resolves with the final message: { type:
+// "result", data }, { type: "cancelled" } or { type: "error", error, captcha }
+function runTabAnalysis(tabId, onProgress) {
+  return new Promise((resolve) => {
+    const port = chrome.tabs.connect(tabId, { name: "venue-analysis" });
+    contentPorts.set(tabId, port);
+
+    port.onMessage.addListener((message) => {
+      if (message.type === "progress") {
+        onProgress(message);
+        return;
+      }
+
+      contentPorts.delete(tabId);
+      port.disconnect();
+      resolve(message);
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (contentPorts.get(tabId) !== port) return;
+      contentPorts.delete(tabId);
+      resolve({
+        type: "error",
+        error:
+          "Error communicating with the page. Please refresh and try again.",
+      });
+    });
+
+    port.postMessage({ action: "analyzeVenues" });
+  });
+}
+
+function finishAnalysisJob(job, changes) {
+  Object.assign(job, changes, {
+    progress: null,
+    finishedAt: new Date().toISOString(),
+  });
+  setJobBadge(job.tabId, job.status);
+  storeAnalysisJob(job);
+  broadcastToPopups({ type: "state", job: job });
+  console.log(`🏁 Analysis of tab ${job.tabId} ${job.status}`);
+}
+
+// Batch analysis: open each profile in a background tab, run the content
+// script analysis there and save the result to the analysis history
+const BATCH_STORAGE_KEY = "batchJob";
+
+// Pause between profiles so a long list does not hammer Google Scholar
+const BATCH_DELAY_MS = 8000;
+const TAB_LOAD_TIMEOUT_MS = 30000;
+
+let batchRunning = false;
+let batchCancelled = false;
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "startBatch") {
+    if (batchRunning) {
+      sendResponse({ error: "A batch is already running." });
+      return false;
+    }
+    if (!message.profiles || message.profiles.length === 0) {
+      sendResponse({ error: "No profile URLs to analyze." });
+      return false;
+    }
+
+    const job = BatchJob.createBatchJob(message.profiles);
+    runBatch(job);
+    sendResponse({ started: true, jobId: job.id });
+    return false;
+  }
+
+  if (message.action === "cancelBatch") {
+    batchCancelled = true;
+    sendResponse({ cancelled: batchRunning });
+    return false;
+  }
+});
+
+// Chrome may still stop the worker between profiles or while a tab loads.
+// The batch then resumes with the profiles it had not finished; the profile
+// that was running is retried once, then reported as failed
+chrome.storage.local.get(BATCH_STORAGE_KEY).then((stored) => {
+  const job = stored[BATCH_STORAGE_KEY];
+  if (!job || job.status !== "running" || batchRunning) return;
+
+  if (job.tabId) {
+    chrome.tabs.remove(job.tabId).catch(() => {
+      // The tab may have been closed with the browser
+    });
+    job.tabId = null;
+  }
+  job.items.forEach((item) => {
+    if (item.status !== "running") return;
+    if (item.resumed) {
+      item.status = "error";
+      item.error = "The analysis was interrupted twice.";
+    } else {
+      item.status = "pending";
+      item.resumed = true;
+    }
+  });
+  console.log("🔄 Resuming the interrupted batch");
+  runBatch(job);
+});
+
+function saveBatchJob(job) {
+  return chrome.storage.local.set({ [BATCH_STORAGE_KEY]: job });
+}
+
+async function runBatch(job) {
+  batchRunning = true;
+  batchCancelled = false;
+  await saveBatchJob(job);
+  console.log(`🚀 Starting batch of ${job.items.length} profiles`);
+
+  for (let index = 0; index < job.items.length; index++) {
+    const item = job.items[index];
+    if (batchCancelled) break;
+    // A resumed batch skips the profiles it already finished
+    if (item.status !== "pending") continue;
+
+    item.status = "running";
+    await saveBatchJob(job);
+
+    try {
+      const analysis = await analyzeProfileInTab(item.url, (tabId) => {
+        // Remembered so a resumed batch can close the tab it left behind
+        job.tabId = tabId;
+        return saveBatchJob(job);
+      });
+      Object.assign(item, BatchJob.summarizeAnalysis(analysis), {
+        status: "done",
+      });
+      console.log(`✅ Batch: analyzed ${item.name || item.userId}`);
+
+      // A history that cannot be saved does not make the analysis fail
+      try {
+        const entry = await AnalysisHistory.saveSnapshot(analysis);
+        item.snapshotKey = entry ? entry.key : null;
+      } catch (error) {
+        item.saveError = `Not saved to the history: ${error.message}`;
+        console.error(`❌ Batch: could not save ${item.url}:`, error);
+      }
+    } catch (error) {
+      item.status = "error";
+      item.error = error.message;
+      console.error(`❌ Batch: ${item.url} failed:`, error);
+
+      // Scholar's robot check blocks every later profile as well
+      if (error.captcha) {
+        job.message = error.message;
+        break;
+      }
+    }
+    job.tabId = null;
+    await saveBatchJob(job);
+
+    const morePending = job.items
+      .slice(index + 1)
+      .some((other) => other.status === "pending");
+    if (morePending && !batchCancelled) {
+      await new Promise((resolve) => setTimeout(resolve, BATCH_DELAY_MS));
+    }
+  }
+
+  job.items.forEach((item) => {
+    if (item.status === "pending") item.status = "cancelled";
+  });
+  job.status = batchCancelled ? "cancelled" : job.message ? "stopped" : "done";
+  job.finishedAt = new Date().toISOString();
+  await saveBatchJob(job);
+
+  batchRunning = false;
+  console.log(`🏁 Batch ${job.status}`);
+}
+
+// Run the regular analysis on a profile opened in an inactive tab
+// onTab(tabId) is called once the tab exists
+async function analyzeProfileInTab(url, onTab) {
+  const tab = await chrome.tabs.create({ url: url, active: false });
+
+  try {
+    await onTab(tab.id);
+    const loadedTab = await waitForTabComplete(tab.id, TAB_LOAD_TIMEOUT_MS);
+    // Chrome hides the URL of pages outside the host permissions, which is
+    // where Google's robot check lives
+    const loadedUrl = loadedTab.url ? new URL(loadedTab.url) : null;
+    if (!loadedUrl || loadedUrl.pathname.startsWith("/sorry")) {
+      const error = new Error(
+        "Google Scholar asked to verify that you are not a robot. Solve the check in a normal tab, then retry the remaining profiles."
+      );
+      error.captcha = true;
+      throw error;
+    }
+    if (!loadedUrl.hostname.startsWith("scholar.google.")) {
+      throw new Error(`The profile redirected to ${loadedUrl.hostname}.`);
+    }
+
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: CONTENT_SCRIPTS.js,
+    });
+
+    // Progress is not shown per profile; the port is what matters here
+    const message = await runTabAnalysis(tab.id, () => {});
+    if (message.type !== "result") {
+      const error = new Error(
+        message.type === "cancelled"
+          ? "The analysis was cancelled in the profile tab."
+          : message.error || "The analysis failed."
+      );
+      error.captcha = Boolean(message.captcha);
+      throw error;
+    }
+    return message.data;
+  } finally {
+    chrome.tabs.remove(tab.id).catch(() => {
+      // The user may have closed the tab already
+    });
+  }
+}
+
+// Resolve with the tab once it has finished loading
+function waitForTabComplete(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error("The profile page took too long to load."));
+    }, timeout);
+
+    function listener(updatedTabId, changeInfo, tab) {
+      if (updatedTabId !== tabId || changeInfo.status !== "complete") return;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(tab);
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // The page may have finished before the listener was added
+    chrome.tabs.get(tabId).then((tab) => {
+      if (tab.status === "complete" && tab.url && tab.url !== "about:blank") {
+        listener(tabId, { status: "complete" }, tab);
+      }
+    });
+  });
+}
@@ -0,0 +1,102 @@
+// Helpers for batch analysis: parse pasted or uploaded profile lists and
+// describe a batch job. Shared by the batch page, the background worker and
+// the Node tests
+(function (root) {
+  const SCHOLAR_HOST = /^scholar\.google\.[a-z]{2,3}(\.[a-z]{2})?$/;
+
+  // Find every Scholar profile URL in free text, one URL per line or in any
+  // CSV column. Returns { profiles: [{ url, userId }], invalid: [text] } with
+  // profiles deduplicated by user id in the order they first appear
+  function parseProfileUrls(text) {
+    const profiles = [];
+    const invalid = [];
+    const seen = new Set();
+
+    (text || "")
+      .split(/[\s,;"']+/)
+      .filter((token) => /scholar\.google\./i.test(token))
+      .forEach((token) => {
+        let url;
+        try {
+          url = new URL(
+            /^https?:\/\//i.test(token) ? token : `https://${token}`
+          );
+        } catch (error) {
+          invalid.push(token);
+          return;
+        }
+
+        const userId = url.searchParams.get("user");
+        if (
+          !SCHOLAR_HOST.test(url.hostname) ||
+          !url.pathname.startsWith("/citations") ||
+          !userId ||
+          url.searchParams.get("view_op") === "view_citation"
+        ) {
+          invalid.push(token);
+          return;
+        }
+        if (seen.has(userId)) return;
+        seen.add(userId);
+
+        // Keep only what selects the profile and its language
+        const profileUrl = new URL(`https://${url.hostname}/citations`);
+        profileUrl.searchParams.set("user", userId);
+        if (url.searchParams.get("hl")) {
+          profileUrl.searchParams.set("hl", url.searchParams.get("hl"));
+        }
+        profiles.push({ url: profileUrl.toString(), userId });
+      });
+
+    return { profiles, invalid };
+  }
+
+  // A new job with one pending item per profile
+  // Item status: "pending" | "running" | "done" | "error" | "cancelled"
+  // saveError is set when a done item's analysis could not be stored;
+  // resumed marks an item retried after the worker was stopped mid-analysis
+  function createBatchJob(profiles) {
+    return {
+      id: `batch-${Date.now()}`,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      message: null,
+      items: profiles.map((profile) => ({
+        url: profile.url,
+        userId: profile.userId,
+        status: "pending",
+        error: null,
+        name: null,
+        totalFound: 0,
+        uniqueVenues: 0,
+        topVenues: [],
+        topTierPapers: 0,
+        snapshotKey: null,
+        saveError: null,
+        resumed: false,
+      })),
+    };
+  }
+
+  // The per-profile numbers shown in the batch report
+  function summarizeAnalysis(analysis) {
+    return {
+      name: (analysis.profile && analysis.profile.name) || null,
+      totalFound: analysis.totalFound || 0,
+      uniqueVenues: (analysis.venues || []).length,
+      topVenues: (analysis.venues || [])
+        .slice(0, 3)
+        .map((item) => `${item.venue} (${item.count})`),
+      topTierPapers: analysis.topTier ? analysis.topTier.total : 0,
+    };
+  }
+
+  const BatchJob = { parseProfileUrls, createBatchJob, summarizeAnalysis };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = BatchJob;
+  } else {
+    root.BatchJob = BatchJob;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,255 @@
+document.addEventListener("DOMContentLoaded", function () {
+  // Latest batch job as stored by the background worker
+  let currentJob = null;
+
+  const STATUS_LABELS = {
+    pending: "⏳ Waiting",
+    running: "🔄 Analyzing",
+    done: "✅ Done",
+    error: "❌ Failed",
+    cancelled: "⏹️ Not run",
+  };
+
+  const urlInput = document.getElementById("url-input");
+  urlInput.addEventListener("input", updateParseSummary);
+
+  document.getElementById("upload-btn").addEventListener("click", function () {
+    document.getElementById("upload-file").click();
+  });
+  document
+    .getElementById("upload-file")
+    .addEventListener("change", loadUploadedFile);
+  document.getElementById("start-btn").addEventListener("click", function () {
+    const { profiles } = BatchJob.parseProfileUrls(urlInput.value);
+    startBatch(profiles);
+  });
+  document.getElementById("cancel-btn").addEventListener("click", cancelBatch);
+  document.getElementById("retry-btn").addEventListener("click", function () {
+    // Everything that did not finish, in the original order
+    startBatch(
+      currentJob.items
+        .filter((item) => item.status !== "done")
+        .map((item) => ({ url: item.url, userId: item.userId }))
+    );
+  });
+  document
+    .getElementById("pin-all-btn")
+    .addEventListener("click", pinAllResults);
+  document
+    .getElementById("export-csv-btn")
+    .addEventListener("click", function () {
+      AnalysisExport.downloadFile(
+        AnalysisExport.toBatchReportCsv(currentJob),
+        batchFileName("csv"),
+        "text/csv"
+      );
+    });
+  document
+    .getElementById("export-json-btn")
+    .addEventListener("click", exportBatchJson);
+
+  // The background worker stores every status change
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === "local" && changes.batchJob) {
+      currentJob = changes.batchJob.newValue || null;
+      displayJob();
+    }
+  });
+
+  chrome.storage.local.get("batchJob", function (stored) {
+    currentJob = stored.batchJob || null;
+    displayJob();
+  });
+
+  // Function to show how many profiles the pasted text contains
+  function updateParseSummary() {
+    const { profiles, invalid } = BatchJob.parseProfileUrls(urlInput.value);
+    let summary = `${profiles.length} profile${
+      profiles.length === 1 ? "" : "s"
+    } found`;
+    if (invalid.length > 0) {
+      summary += `; ignoring ${invalid.length} Scholar link${
+        invalid.length === 1 ? "" : "s"
+      } that ${invalid.length === 1 ? "is not a profile" : "are not profiles"}`;
+    }
+    document.getElementById("parse-summary").textContent = urlInput.value
+      ? summary
+      : "";
+  }
+
+  // Function to read an uploaded CSV or text file into the text box
+  function loadUploadedFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function () {
+      urlInput.value = reader.result;
+      updateParseSummary();
+    };
+    reader.onerror = function () {
+      showStatus(`Could not read ${file.name}.`, "error");
+    };
+    reader.readAsText(file);
+    event.target.value = "";
+  }
+
+  // Function to hand a list of profiles to the background worker
+  function startBatch(profiles) {
+    if (profiles.length === 0) {
+      showStatus("Paste or upload at least one profile URL.", "error");
+      return;
+    }
+
+    chrome.runtime.sendMessage(
+      { action: "startBatch", profiles: profiles },
+      function (response) {
+        if (chrome.runtime.lastError || !response) {
+          showStatus("Could not reach the extension background.", "error");
+          return;
+        }
+        if (response.error) {
+          showStatus(response.error, "error");
+          return;
+        }
+        showStatus(`🚀 Started a batch of ${profiles.length} profiles.`);
+      }
+    );
+  }
+
+  function cancelBatch() {
+    chrome.runtime.sendMessage({ action: "cancelBatch" }, function () {
+      showStatus("Stopping after the current profile...");
+    });
+  }
+
+  // Function to render the job status and per-profile table
+  function displayJob() {
+    const running = Boolean(currentJob && currentJob.status === "running");
+    document.getElementById("start-btn").disabled = running;
+    document.getElementById("cancel-btn").disabled = !running;
+
+    const reportDiv = document.getElementById("report");
+    if (!currentJob) {
+      reportDiv.style.display = "none";
+      return;
+    }
+    reportDiv.style.display = "block";
+
+    const items = currentJob.items;
+    const doneCount = items.filter((item) => item.status === "done").length;
+    const failedCount = items.filter((item) => item.status === "error").length;
+    const finishedCount = items.filter(
+      (item) => item.status === "done" || item.status === "error"
+    ).length;
+
+    document.getElementById(
+      "report-title"
+    ).textContent = `Results: ${finishedCount} of ${items.length} profiles processed, ${doneCount} succeeded, ${failedCount} failed`;
+
+    if (currentJob.message) {
+      showStatus(currentJob.message, "error");
+    } else if (!running && currentJob.finishedAt) {
+      showStatus(
+        `🏁 Batch ${currentJob.status} at ${new Date(
+          currentJob.finishedAt
+        ).toLocaleTimeString()}.`
+      );
+    }
+
+    document.getElementById("retry-btn").style.display =
+      !running && doneCount < items.length ? "inline-block" : "none";
+    document.getElementById("pin-all-btn").disabled = doneCount === 0;
+
+    const tbody = document.getElementById("batch-tbody");
+    tbody.innerHTML = "";
+    items.forEach((item, index) => {
+      const row = document.createElement("tr");
+
+      const indexCell = document.createElement("td");
+      indexCell.textContent = index + 1;
+
+      const profileCell = document.createElement("td");
+      const link = document.createElement("a");
+      link.href = item.url;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = item.name || item.userId;
+      profileCell.appendChild(link);
+
+      const statusCell = document.createElement("td");
+      statusCell.textContent = STATUS_LABELS[item.status] || item.status;
+      if (item.error || item.saveError) {
+        const reason = document.createElement("div");
+        reason.className = "reason";
+        reason.textContent = item.error || item.saveError;
+        statusCell.appendChild(reason);
+      }
+
+      row.appendChild(indexCell);
+      row.appendChild(profileCell);
+      row.appendChild(statusCell);
+      [item.totalFound, item.uniqueVenues, item.topTierPapers].forEach(
+        (value) => {
+          const cell = document.createElement("td");
+          cell.className = "number";
+          cell.textContent = item.status === "done" ? value : "";
+          row.appendChild(cell);
+        }
+      );
+
+      const venuesCell = document.createElement("td");
+      venuesCell.textContent = (item.topVenues || []).join(", ");
+      row.appendChild(venuesCell);
+
+      tbody.appendChild(row);
+    });
+  }
+
+  // Function to pin every successful profile for the comparison tab
+  async function pinAllResults() {
+    const doneItems = currentJob.items.filter(
+      (item) => item.status === "done" && item.snapshotKey
+    );
+    for (const item of doneItems) {
+      await AnalysisHistory.pinSnapshot({
+        userId: item.userId,
+        name: item.name || item.userId,
+        key: item.snapshotKey,
+      });
+    }
+    chrome.tabs.create({ url: chrome.runtime.getURL("compare.html") });
+  }
+
+  // Function to download the job with every stored analysis
+  async function exportBatchJson() {
+    const analyses = {};
+    for (const item of currentJob.items) {
+      if (item.snapshotKey) {
+        analyses[item.snapshotKey] = await AnalysisHistory.loadSnapshot(
+          item.snapshotKey
+        );
+      }
+    }
+    AnalysisExport.downloadFile(
+      AnalysisExport.toBatchJson(currentJob, analyses),
+      batchFileName("json"),
+      "application/json"
+    );
+  }
+
+  // File name like scholar-batch-2024-05-01.csv
+  function batchFileName(extension) {
+    const date = (currentJob.startedAt || new Date().toISOString()).slice(
+      0,
+      10
+    );
+    return `scholar-batch-${date}.${extension}`;
+  }
+
+  function showStatus(message, type) {
+    const status = document.getElementById("status");
+    status.textContent = message;
+    status.className = type === "error" ? "status error" : "status";
+  }
+});
@@ -0,0 +1,82 @@
+// Helpers for the enrichment pass, which reads a paper's Scholar citation
+// page (view_op=view_citation) when its profile row is missing a venue or
+// truncated. Pure functions shared by the content script and Node tests;
+// the content script does the fetching and DOM reading
+(function (root) {
+  // Field labels of the citation page, requested with hl=en so they do not
+  // depend on the interface language. Earlier labels win for the venue
+  const VENUE_FIELDS = ["conference", "journal", "book", "source", "publisher"];
+  const AUTHOR_FIELDS = ["authors", "inventors"];
+
+  function isTruncated(text) {
+    return /(\.\.\.|…)\s*$/.test(text || "");
+  }
+
+  // Scholar's id of a paper, from a link like
+  // /citations?view_op=view_citation&user=...&citation_for_view=USER:ID
+  function citationId(link) {
+    const match = /[?&]citation_for_view=([^&#]+)/.exec(link || "");
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  // Rows without a venue, rows that only matched the fallback with a cut-off
+  // venue string, and rows whose author list Scholar shortened
+  function needsEnrichment(publication) {
+    if (!citationId(publication.link)) return false;
+    if (!publication.venue) return true;
+    if (
+      publication.matchSource === "fallback" &&
+      isTruncated(publication.venueText)
+    ) {
+      return true;
+    }
+    return isTruncated(publication.authors);
+  }
+
+  // Skipped rows first, since they gain the most, then truncated ones
+  function selectForEnrichment(publications) {
+    const indexes = [];
+    publications.forEach((publication, index) => {
+      if (needsEnrichment(publication)) indexes.push(index);
+    });
+    return indexes.sort(
+      (a, b) =>
+        Number(Boolean(publications[a].venue)) -
+        Number(Boolean(publications[b].venue))
+    );
+  }
+
+  // Turn the label/value pairs of a citation page into
+  // { authors, year, venueText }, each null when the page lacks it
+  function parseCitationFields(fields) {
+    const values = {};
+    fields.forEach((field) => {
+      const label = (field.label || "").trim().toLowerCase();
+      const value = (field.value || "").trim();
+      if (label && value && !(label in values)) values[label] = value;
+    });
+
+    const authorField = AUTHOR_FIELDS.find((label) => values[label]);
+    const venueField = VENUE_FIELDS.find((label) => values[label]);
+    const yearMatch = /\b(19|20)\d{2}\b/.exec(values["publication date"] || "");
+
+    return {
+      authors: authorField ? values[authorField] : null,
+      year: yearMatch ? Number(yearMatch[0]) : null,
+      venueText: venueField ? values[venueField] : null,
+    };
+  }
+
+  const CitationDetails = {
+    citationId,
+    needsEnrichment,
+    selectForEnrichment,
+    parseCitationFields,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CitationDetails;
+  } else {
+    root.CitationDetails = CitationDetails;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,169 @@
+// Collaborator statistics from the author lines of a profile's publications:
+// who the researcher publishes with most, where and when, and for each venue
+// how much of the work came out of one collaboration. Pure functions shared
+// by the popup and the Node tests
+(function (root) {
+  // A venue counts as dominated when one collaborator is on at least this
+  // share of its papers
+  const DOMINANT_SHARE = 0.5;
+
+  // Same author in differently punctuated or spelled out lines: profile rows
+  // give initials and surname ("GE Hinton", "G.E. Hinton"), citation pages
+  // the full name ("Geoffrey E. Hinton"). All of them become "ge hinton".
+  // Lowercase particles stay with the surname, as in "L van der Maaten"
+  function collaboratorKey(name) {
+    const tokens = name
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^A-Za-z0-9\s-]/g, " ")
+      .split(/\s+/)
+      .filter(Boolean);
+    if (tokens.length <= 1) return tokens.join("").toLowerCase();
+
+    let surnameStart = tokens.length - 1;
+    while (surnameStart > 1 && /^[a-z]/.test(tokens[surnameStart - 1])) {
+      surnameStart--;
+    }
+
+    // "GE" is already initials; "Geoffrey" and "Jean-Luc" are shortened
+    const initials = tokens
+      .slice(0, surnameStart)
+      .map((token) =>
+        /^[A-Z]{1,3}$/.test(token)
+          ? token
+          : token
+              .split("-")
+              .map((part) => part.charAt(0))
+              .join("")
+      )
+      .join("");
+    return `${initials} ${tokens.slice(surnameStart).join(" ")}`.toLowerCase();
+  }
+
+  // Co-authors listed on a publication, without the profile owner.
+  // Scholar truncates long lists with "...", so later authors are unknown
+  function listCoauthors(authorsText, isOwner) {
+    return (authorsText || "")
+      .replace(/(\.\.\.|…)\s*$/, "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => name && collaboratorKey(name) && !isOwner(name));
+  }
+
+  // Tally collaborators and per-venue partners
+  // isOwner(name) tells whether an author-line name is the profile owner
+  // Returns {
+  //   collaborators: [{ name, papers, topPapers, venues: [{ venue, count }],
+  //                     firstYear, lastYear }],
+  //   venues: [{ venue, papers, soloPapers, collaborators: [{ name, count }],
+  //              dominant: { name, share } | null }]
+  // } with both lists sorted by paper count
+  function analyzeCoauthors(publications, isOwner) {
+    const collaborators = new Map();
+    const venues = new Map();
+
+    publications.forEach((publication) => {
+      // The same person can appear twice in a malformed author line
+      const coauthors = new Map();
+      listCoauthors(publication.authors, isOwner).forEach((name) => {
+        const key = collaboratorKey(name);
+        if (!coauthors.has(key)) coauthors.set(key, name);
+      });
+
+      coauthors.forEach((name, key) => {
+        if (!collaborators.has(key)) {
+          collaborators.set(key, {
+            name: name,
+            papers: 0,
+            topPapers: 0,
+            venues: new Map(),
+            firstYear: null,
+            lastYear: null,
+          });
+        }
+        const collaborator = collaborators.get(key);
+        collaborator.papers++;
+        if (publication.top) collaborator.topPapers++;
+        if (publication.venue) {
+          collaborator.venues.set(
+            publication.venue,
+            (collaborator.venues.get(publication.venue) || 0) + 1
+          );
+        }
+        if (publication.year) {
+          if (
+            !collaborator.firstYear ||
+            publication.year < collaborator.firstYear
+          ) {
+            collaborator.firstYear = publication.year;
+          }
+          if (
+            !collaborator.lastYear ||
+            publication.year > collaborator.lastYear
+          ) {
+            collaborator.lastYear = publication.year;
+          }
+        }
+      });
+
+      if (!publication.venue) return;
+      if (!venues.has(publication.venue)) {
+        venues.set(publication.venue, {
+          venue: publication.venue,
+          papers: 0,
+          soloPapers: 0,
+          partners: new Map(),
+        });
+      }
+      const venue = venues.get(publication.venue);
+      venue.papers++;
+      if (coauthors.size === 0) venue.soloPapers++;
+      coauthors.forEach((name, key) => {
+        const partner = venue.partners.get(key) || { name: name, count: 0 };
+        partner.count++;
+        venue.partners.set(key, partner);
+      });
+    });
+
+    const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+    return {
+      collaborators: Array.from(collaborators.values())
+        .map((collaborator) => ({
+          ...collaborator,
+          venues: Array.from(collaborator.venues.entries())
+            .map(([venue, count]) => ({ venue, count }))
+            .sort((a, b) => b.count - a.count),
+        }))
+        .sort((a, b) => b.papers - a.papers || a.name.localeCompare(b.name)),
+      venues: Array.from(venues.values())
+        .map((venue) => {
+          const partners = Array.from(venue.partners.values()).sort(byCount);
+          const top = partners[0];
+          return {
+            venue: venue.venue,
+            papers: venue.papers,
+            soloPapers: venue.soloPapers,
+            collaborators: partners,
+            dominant:
+              top && top.count / venue.papers >= DOMINANT_SHARE
+                ? { name: top.name, share: top.count / venue.papers }
+                : null,
+          };
+        })
+        .sort((a, b) => b.papers - a.papers),
+    };
+  }
+
+  const CoauthorAnalysis = {
+    DOMINANT_SHARE,
+    listCoauthors,
+    analyzeCoauthors,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = CoauthorAnalysis;
+  } else {
+    root.CoauthorAnalysis = CoauthorAnalysis;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,211 @@
+document.addEventListener("DOMContentLoaded", function () {
+  // Latest comparison, kept so the table options re-render without reloading
+  let currentComparison = null;
+
+  document
+    .getElementById("shared-only")
+    .addEventListener("change", displayComparison);
+  document
+    .getElementById("show-shares")
+    .addEventListener("change", displayComparison);
+
+  // Pins made in the popup show up without reloading the page
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (
+      areaName === "local" &&
+      (changes.pinnedAnalyses || changes.analysisHistory)
+    ) {
+      loadComparison();
+    }
+  });
+
+  loadComparison();
+
+  // Function to load saved profiles and pinned analyses, then render both
+  async function loadComparison() {
+    try {
+      const profiles = await AnalysisHistory.listProfiles();
+      const pinned = await AnalysisHistory.loadPinned();
+      displayProfileList(profiles, pinned);
+
+      const analyses = await AnalysisHistory.loadPinnedAnalyses();
+      currentComparison =
+        analyses.length > 0
+          ? ProfileComparison.buildComparison(analyses)
+          : null;
+      displayComparison();
+    } catch (error) {
+      console.error("❌ Failed to load the comparison:", error);
+    }
+  }
+
+  // Function to list every saved profile with a pin checkbox
+  function displayProfileList(profiles, pinned) {
+    const profileList = document.getElementById("profile-list");
+    profileList.innerHTML = "";
+
+    if (profiles.length === 0) {
+      profileList.innerHTML = `<div class="empty-state">No saved analyses yet. Open a Google Scholar profile, click the extension icon and analyze it.</div>`;
+      return;
+    }
+
+    const pinnedIds = new Set(pinned.map((pin) => pin.userId));
+
+    profiles.forEach((entry) => {
+      const label = document.createElement("label");
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = pinnedIds.has(entry.userId);
+      checkbox.addEventListener("change", function () {
+        // Pinning here always uses the newest snapshot of the researcher
+        const update = checkbox.checked
+          ? AnalysisHistory.pinSnapshot(entry)
+          : AnalysisHistory.unpinProfile(entry.userId);
+        update.catch((error) => {
+          console.error("❌ Failed to update pinned profiles:", error);
+        });
+      });
+
+      const details = document.createElement("small");
+      details.textContent = ` — analyzed ${new Date(
+        entry.savedAt
+      ).toLocaleDateString()} · ${entry.totalFound} papers · ${
+        entry.uniqueVenues
+      } venues`;
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${entry.name}`));
+      label.appendChild(details);
+      profileList.appendChild(label);
+    });
+  }
+
+  // Function to render the research area and venue tables
+  function displayComparison() {
+    const comparisonDiv = document.getElementById("comparison");
+    if (!currentComparison) {
+      comparisonDiv.style.display = "none";
+      return;
+    }
+    comparisonDiv.style.display = "block";
+
+    const sharedOnly = document.getElementById("shared-only").checked;
+    const venueRows = sharedOnly
+      ? currentComparison.venues.filter(
+          (row) => row.cells.filter((item) => item.count > 0).length >= 2
+        )
+      : currentComparison.venues;
+
+    displayCompareTable(
+      document.getElementById("category-table"),
+      "Research area",
+      currentComparison.categories.map((row) => ({
+        label: row.name,
+        cells: row.cells,
+        total: row.total,
+      }))
+    );
+    displayCompareTable(
+      document.getElementById("venue-table"),
+      "Venue",
+      venueRows.map((row) => ({
+        label: row.venue,
+        area: row.categoryName,
+        cells: row.cells,
+        total: row.total,
+      }))
+    );
+  }
+
+  // Function to build one table: a row per label, a column per researcher
+  function displayCompareTable(table, labelTitle, rows) {
+    const showShares = document.getElementById("show-shares").checked;
+    const profiles = currentComparison.profiles;
+    const hasArea = rows.some((row) => row.area);
+    table.innerHTML = "";
+
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    const headers = [labelTitle].concat(hasArea ? ["Area"] : []);
+    headers.forEach((title) => {
+      const th = document.createElement("th");
+      th.className = "label";
+      th.textContent = title;
+      headerRow.appendChild(th);
+    });
+    profiles.forEach((profile) => {
+      const th = document.createElement("th");
+      th.textContent = profile.name;
+      th.title = `${profile.totalPapers} papers with a venue${
+        profile.savedAt
+          ? `, analyzed ${new Date(profile.savedAt).toLocaleDateString()}`
+          : ""
+      }`;
+      headerRow.appendChild(th);
+    });
+    const totalHeader = document.createElement("th");
+    totalHeader.textContent = "Total";
+    headerRow.appendChild(totalHeader);
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    if (rows.length === 0) {
+      const row = document.createElement("tr");
+      const emptyCell = document.createElement("td");
+      emptyCell.className = "label empty-state";
+      emptyCell.colSpan = headers.length + profiles.length + 1;
+      emptyCell.textContent = "No rows to show.";
+      row.appendChild(emptyCell);
+      tbody.appendChild(row);
+    }
+
+    rows.forEach((rowData) => {
+      const row = document.createElement("tr");
+
+      const labelCell = document.createElement("td");
+      labelCell.className = "label";
+      labelCell.textContent = rowData.label;
+      row.appendChild(labelCell);
+
+      if (hasArea) {
+        const areaCell = document.createElement("td");
+        areaCell.className = "area";
+        areaCell.textContent = rowData.area || "";
+        row.appendChild(areaCell);
+      }
+
+      // Highlight the researcher who leans on this row the most
+      const bestShare = Math.max(...rowData.cells.map((item) => item.share));
+
+      rowData.cells.forEach((item) => {
+        const td = document.createElement("td");
+        if (item.count === 0) {
+          td.className = "empty";
+          td.textContent = "–";
+        } else {
+          if (profiles.length > 1 && item.share === bestShare) {
+            td.className = "best";
+          }
+          td.textContent = item.count;
+          if (showShares) {
+            const share = document.createElement("span");
+            share.className = "share";
+            share.textContent = `${Math.round(item.share * 100)}%`;
+            td.appendChild(share);
+          }
+        }
+        row.appendChild(td);
+      });
+
+      const totalCell = document.createElement("td");
+      totalCell.textContent = rowData.total;
+      row.appendChild(totalCell);
+
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+  }
+});
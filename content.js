@@ -1,6 +1,5 @@
 // content-script-with-json-mapping.js
 (function () {
-  const startTime = performance.now();
   console.log("🕐 Analysis started at:", new Date().toLocaleTimeString());
 
   // Global flag to prevent multiple analyses
@@ -12,14 +11,29 @@
   }
   window.scholarAnalyzerRunning = true;
 
+  // Same host check as the batch page: scholar.google.<tld>
+  const SCHOLAR_HOST = /^scholar\.google\.[a-z]{2,3}(\.[a-z]{2})?$/;
+
+  // Rows per request when paging with cstart/pagesize; Scholar's maximum
+  const PAGE_SIZE = 100;
+  const MAX_PAGES = 200;
+
+  // Enrichment reads one citation page per row, so it is paced and capped
+  const ENRICHMENT_DELAY_MS = 1000;
+  const MAX_ENRICHMENT_FETCHES = 100;
+  const DETAILS_CACHE_KEY = "citationDetailsCache";
+  const MAX_CACHED_DETAILS = 2000;
+
   let isAnalyzing = false;
+  let cancelRequested = false;
   let venueMapping = null;
+  // Last finished analysis, kept so the in-page panel can be toggled on later
+  let lastAnalysis = null;
 
-  // Load venue mapping from JSON file
+  // Load venue mapping from JSON file, merged with any custom mapping
   async function loadVenueMapping() {
     try {
-      const response = await fetch(chrome.runtime.getURL("venue-mapping.json"));
-      venueMapping = await response.json();
+      venueMapping = await VenueMappingStore.loadEffectiveMapping();
       console.log("✅ Venue mapping loaded successfully");
     } catch (error) {
       console.error("❌ Failed to load venue mapping:", error);
@@ -28,6 +42,20 @@
     }
   }
 
+  // Load user-defined venue rules saved from the popup's review queue
+  async function loadUserVenueRules() {
+    try {
+      const stored = await chrome.storage.local.get("userVenueRules");
+      venueMapping.user_rules = stored.userVenueRules || [];
+      console.log(
+        `✅ Loaded ${venueMapping.user_rules.length} user venue rules`
+      );
+    } catch (error) {
+      console.error("❌ Failed to load user venue rules:", error);
+      venueMapping.user_rules = [];
+    }
+  }
+
   // Basic fallback mapping if JSON file fails to load
   function getBasicVenueMapping() {
     return {
@@ -53,12 +81,19 @@
     };
   }
 
-  // Listen for messages from popup
-  chrome.runtime.onMessage.addListener(function (
-    request,
-    sender,
-    sendResponse
-  ) {
+  // Listen for one-off requests that wait for the whole analysis
+  chrome.runtime.onMessage.addListener(handleMessage);
+
+  // Listen for the popup, which streams progress over a port
+  chrome.runtime.onConnect.addListener(handlePort);
+
+  // Show or hide the in-page results when the popup setting changes
+  chrome.storage.onChanged.addListener(handleSettingsChange);
+
+  // Show the saved results of this profile right after the page loads
+  updateInPageResults();
+
+  function handleMessage(request, sender, sendResponse) {
     if (request.action === "analyzeVenues") {
       if (isAnalyzing) {
         console.log(
@@ -68,33 +103,190 @@
         return true;
       }
 
-      isAnalyzing = true;
-      console.log("🚀 Starting venue analysis...");
-
-      analyzeAllVenues()
+      startAnalysis(null)
         .then((analysisData) => {
-          isAnalyzing = false;
-          console.log("✅ Analysis completed successfully");
           sendResponse(analysisData);
         })
         .catch((error) => {
-          isAnalyzing = false;
-          console.error("❌ Analysis failed:", error);
-          sendResponse({ error: error.message, success: false });
+          sendResponse({
+            error: error.message,
+            cancelled: Boolean(error.cancelled),
+            captcha: Boolean(error.captcha),
+            success: false,
+          });
         });
       return true;
     }
-  });
+  }
+
+  // Port protocol: the background worker posts { action: "analyzeVenues" } or
+  // { action: "cancel" }; this script answers with { type: "progress", ... },
+  // then one { type: "result", data }, { type: "error", error, captcha } or
+  // { type: "cancelled" }. Closing the port cancels the analysis
+  function handlePort(port) {
+    if (port.name !== "venue-analysis") return;
+
+    let connected = true;
+    const send = (message) => {
+      if (connected) port.postMessage(message);
+    };
+
+    port.onDisconnect.addListener(function () {
+      connected = false;
+      if (isAnalyzing) cancelAnalysis();
+    });
+
+    port.onMessage.addListener(function (message) {
+      if (message.action === "cancel") {
+        cancelAnalysis();
+        return;
+      }
+      if (message.action !== "analyzeVenues") return;
+
+      if (isAnalyzing) {
+        send({
+          type: "error",
+          error: "Analysis already in progress - please wait",
+        });
+        return;
+      }
+
+      startAnalysis((progress) => send({ type: "progress", ...progress }))
+        .then((analysisData) => {
+          send({ type: "result", data: analysisData });
+        })
+        .catch((error) => {
+          send(
+            error.cancelled
+              ? { type: "cancelled" }
+              : {
+                  type: "error",
+                  error: error.message,
+                  captcha: Boolean(error.captcha),
+                }
+          );
+        });
+    });
+  }
+
+  // Run one analysis at a time, reporting progress to onProgress if given
+  function startAnalysis(onProgress) {
+    isAnalyzing = true;
+    cancelRequested = false;
+    console.log("🚀 Starting venue analysis...");
+
+    return analyzeAllVenues(onProgress || function () {})
+      .then((analysisData) => {
+        isAnalyzing = false;
+        console.log("✅ Analysis completed successfully");
+        lastAnalysis = analysisData;
+        updateInPageResults();
+        return analysisData;
+      })
+      .catch((error) => {
+        isAnalyzing = false;
+        if (error.cancelled) {
+          console.log("⏹️ Analysis cancelled");
+          unloadAnalyzer();
+        } else {
+          console.error("❌ Analysis failed:", error);
+        }
+        throw error;
+      });
+  }
+
+  // Stop at the next pagination step or before normalizing
+  function cancelAnalysis() {
+    if (!isAnalyzing) return;
+    console.log("⏹️ Cancel requested");
+    cancelRequested = true;
+  }
+
+  function throwIfCancelled() {
+    if (cancelRequested) {
+      const error = new Error("Analysis cancelled");
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  // After a cancel, detach this copy of the script so the next injection
+  // starts from a clean state instead of being skipped as a duplicate
+  function unloadAnalyzer() {
+    chrome.runtime.onMessage.removeListener(handleMessage);
+    chrome.runtime.onConnect.removeListener(handlePort);
+    chrome.storage.onChanged.removeListener(handleSettingsChange);
+    window.scholarAnalyzerRunning = false;
+  }
+
+  function handleSettingsChange(changes, areaName) {
+    if (areaName === "local" && changes.inPageResults) {
+      updateInPageResults();
+    }
+  }
+
+  // Render the last analysis on the profile page when the "inPageResults"
+  // setting is on, and remove it when the setting is off. Before the first
+  // analysis of this page session, the newest saved snapshot of the profile
+  // is shown, so results survive a reload
+  async function updateInPageResults() {
+    try {
+      const stored = await chrome.storage.local.get("inPageResults");
+      const analysis =
+        stored.inPageResults && (lastAnalysis || (await loadSavedAnalysis()));
+      if (analysis) {
+        InPagePanel.render(analysis);
+        console.log("📌 In-page results updated");
+      } else {
+        InPagePanel.clear();
+      }
+    } catch (error) {
+      console.error("❌ Failed to update in-page results:", error);
+    }
+  }
+
+  // Newest snapshot in the analysis history for the profile on this page
+  async function loadSavedAnalysis() {
+    const userId = new URLSearchParams(window.location.search).get("user");
+    if (!userId || !isValidScholarProfilePage()) return null;
+
+    const entries = await AnalysisHistory.listSnapshots(userId);
+    return entries.length > 0
+      ? AnalysisHistory.loadSnapshot(entries[0].key)
+      : null;
+  }
 
   // Main analysis function
-  async function analyzeAllVenues() {
+  // onProgress receives { phase: "loading" | "normalizing" | "enriching",
+  // elapsedMs, pagesLoaded, rowsFound, rowsNormalized, totalRows,
+  // rowsEnriched, rowsToEnrich }
+  async function analyzeAllVenues(onProgress) {
+    const analysisStart = performance.now();
+    const progress = {
+      phase: "loading",
+      elapsedMs: 0,
+      pagesLoaded: 0,
+      rowsFound: 0,
+      rowsNormalized: 0,
+      totalRows: 0,
+      rowsEnriched: 0,
+      rowsToEnrich: 0,
+    };
+    const reportProgress = (changes) => {
+      Object.assign(progress, changes, {
+        elapsedMs: Math.round(performance.now() - analysisStart),
+      });
+      onProgress(Object.assign({}, progress));
+    };
+
     try {
       console.log("🚀 === STARTING COMPLETE ANALYSIS ===");
 
-      // Load venue mapping if not already loaded
-      if (!venueMapping) {
-        await loadVenueMapping();
-      }
+      // Reload the mapping so edits from the options page apply right away
+      await loadVenueMapping();
+
+      // Always pick up rules added since the last analysis
+      await loadUserVenueRules();
 
       // Validate we're on the right page
       if (!isValidScholarProfilePage()) {
@@ -110,31 +302,59 @@
       if (initialCount === 0) {
         throw new Error("No publications found on this page.");
       }
+      reportProgress({ rowsFound: initialCount });
 
       // Load all publications via pagination
       console.log("🔄 Starting pagination to load ALL publications...");
-      const finalCount = await loadAllPublications();
+      const pagination = await loadAllPublications((pagesLoaded, rowsFound) =>
+        reportProgress({ pagesLoaded, rowsFound })
+      );
+      const finalCount = pagination.count;
+      const warnings = checkPagination(pagination);
       console.log(
         `📊 Final count after pagination: ${finalCount} publications`
       );
+      throwIfCancelled();
 
       // Extract venue data using JSON mapping
       console.log(`🔍 Now analyzing ALL ${finalCount} loaded publications...`);
-      const venueAnalysisResult = extractVenueDataWithMapping();
+      reportProgress({
+        phase: "normalizing",
+        rowsFound: finalCount,
+        totalRows: finalCount,
+      });
+      // The slower enrichment pass is opt-in from the popup
+      const settings = await chrome.storage.local.get("enrichRows");
+      const venueAnalysisResult = await extractVenueDataWithMapping(
+        (rowsNormalized) => reportProgress({ rowsNormalized }),
+        settings.enrichRows
+          ? (rowsEnriched, rowsToEnrich) =>
+              reportProgress({ phase: "enriching", rowsEnriched, rowsToEnrich })
+          : null
+      );
 
       if (venueAnalysisResult.venues.length === 0) {
         throw new Error("No venues could be extracted from the publications.");
       }
 
       const endTime = performance.now();
-      const totalTime = ((endTime - startTime) / 1000).toFixed(2);
+      const totalTime = ((endTime - analysisStart) / 1000).toFixed(2);
       console.log(`⏱️ Total analysis time: ${totalTime} seconds`);
 
       return {
+        profile: extractProfileInfo(),
+        publications: venueAnalysisResult.publications,
         venues: venueAnalysisResult.venues,
+        timeline: venueAnalysisResult.timeline,
+        categories: venueAnalysisResult.categories,
+        tiers: venueAnalysisResult.tiers,
+        topTier: venueAnalysisResult.topTier,
+        duplicates: venueAnalysisResult.duplicates,
         totalFound: finalCount,
+        warnings: warnings.concat(venueAnalysisResult.enrichmentWarnings),
         totalProcessed: venueAnalysisResult.processedCount,
         totalSkipped: venueAnalysisResult.skippedCount,
+        totalEnriched: venueAnalysisResult.enrichedCount,
         success: true,
       };
     } catch (error) {
@@ -143,28 +363,152 @@
     }
   }
 
-  // Validate Scholar profile page
+  // Read the researcher's name and Scholar user id from the profile header
+  function extractProfileInfo() {
+    const nameElement = document.querySelector("#gsc_prf_in");
+    const params = new URLSearchParams(window.location.search);
+
+    return {
+      name: nameElement ? nameElement.textContent.trim() : "",
+      userId: params.get("user") || "",
+      url: window.location.href,
+    };
+  }
+
+  // Validate Scholar profile page from the parsed URL, so the decision does
+  // not depend on parameter order or the interface language
   function isValidScholarProfilePage() {
-    const url = window.location.href;
+    const url = new URL(window.location.href);
     return (
-      url.includes("scholar.google.") &&
-      url.includes("/citations?") &&
-      !url.includes("view_op=view_citation") &&
-      url.includes("user=")
+      SCHOLAR_HOST.test(url.hostname) &&
+      url.pathname === "/citations" &&
+      Boolean(url.searchParams.get("user")) &&
+      url.searchParams.get("view_op") !== "view_citation"
     );
   }
 
   // Load all publications with pagination
-  async function loadAllPublications() {
-    let attempts = 0;
-    const maxAttempts = 200;
-    let publicationsBefore = document.querySelectorAll("tr.gsc_a_tr").length;
+  // Pages are requested with Scholar's own cstart/pagesize parameters, which
+  // behave the same in every interface language. Clicking the "Show more"
+  // button is the fallback when those requests fail
+  // onPage(pagesLoaded, rowsFound) is called after every loaded page
+  // Returns { count, complete, issues } where issues lists pages whose range
+  // did not line up with the rows before them
+  async function loadAllPublications(onPage) {
+    console.log(
+      `🔄 Starting pagination with ${countPublicationRows()} publications`
+    );
+
+    let pagination;
+    try {
+      pagination = await loadPagesByOffset(onPage);
+    } catch (error) {
+      if (error.cancelled || error.captcha) throw error;
+      console.log(
+        "⚠️ Paged requests failed - falling back to the show more button:",
+        error
+      );
+      pagination = await loadPagesByButton(onPage);
+    }
 
     console.log(
-      `🔄 Starting pagination with ${publicationsBefore} publications`
+      `🏁 Pagination complete. Final count: ${pagination.count} publications`
+    );
+    return pagination;
+  }
+
+  function countPublicationRows() {
+    return document.querySelectorAll("tr.gsc_a_tr").length;
+  }
+
+  // Fetch the rows after those already on the page, PAGE_SIZE at a time,
+  // and append them to the publication table
+  async function loadPagesByOffset(onPage) {
+    const tableBody = document.querySelector("#gsc_a_b");
+    if (!tableBody) throw new Error("Publication table not found");
+
+    let count = countPublicationRows();
+    let page = { rows: [], hasMore: hasMorePages(document) };
+    let pagesLoaded = 0;
+    const issues = [];
+    addPageIssue(issues, readReportedRange(document), 0, count);
+
+    // Without a "Show more" button there is no signal either way, so ask
+    while (page.hasMore !== false && pagesLoaded < MAX_PAGES) {
+      throwIfCancelled();
+      page = await fetchPublicationPage(count);
+      throwIfCancelled();
+      addPageIssue(issues, page.range, count, page.rows.length);
+
+      page.rows.forEach((row) => {
+        tableBody.appendChild(document.importNode(row, true));
+      });
+      count = countPublicationRows();
+      pagesLoaded++;
+      console.log(
+        `📈 Loaded ${page.rows.length} new publications (total: ${count})`
+      );
+      if (onPage) onPage(pagesLoaded, count);
+
+      // A short page is the last one
+      if (page.rows.length < PAGE_SIZE) break;
+      await new Promise((resolve) => setTimeout(resolve, 300));
+    }
+
+    return {
+      count: count,
+      complete: page.hasMore === false || page.rows.length < PAGE_SIZE,
+      issues: issues,
+    };
+  }
+
+  // Request the publications starting at cstart on the same profile URL, so
+  // the language and sort order match the rows already shown
+  async function fetchPublicationPage(cstart) {
+    const url = new URL(window.location.href);
+    url.searchParams.set("cstart", cstart);
+    url.searchParams.set("pagesize", PAGE_SIZE);
+
+    const response = await fetch(url.toString(), {
+      credentials: "same-origin",
+    });
+    if (new URL(response.url).pathname.startsWith("/sorry")) {
+      const error = new Error(
+        "Google Scholar asked to verify that you are not a robot. Solve the check in a normal tab, then analyze again."
+      );
+      error.captcha = true;
+      throw error;
+    }
+    if (!response.ok) {
+      throw new Error(
+        `Scholar answered ${response.status} for publications from ${cstart}`
+      );
+    }
+
+    const page = new DOMParser().parseFromString(
+      await response.text(),
+      "text/html"
     );
+    if (!page.querySelector("#gsc_a_b")) {
+      throw new Error(`No publication table for publications from ${cstart}`);
+    }
+
+    return {
+      rows: Array.from(page.querySelectorAll("#gsc_a_b tr.gsc_a_tr")),
+      hasMore: hasMorePages(page),
+      range: readReportedRange(page),
+    };
+  }
+
+  // Click Scholar's own "Show more" button until it is disabled
+  async function loadPagesByButton(onPage) {
+    let attempts = 0;
+    let publicationsBefore = countPublicationRows();
+    const issues = [];
+    addPageIssue(issues, readReportedRange(document), 0, publicationsBefore);
 
-    while (attempts < maxAttempts) {
+    while (attempts < MAX_PAGES) {
+      throwIfCancelled();
       const showMoreButton = findShowMoreButton();
 
       if (!showMoreButton) {
@@ -177,6 +521,7 @@
       try {
         showMoreButton.click();
         const newCount = await waitForNewPublications(publicationsBefore, 8000);
+        throwIfCancelled();
 
         if (newCount === publicationsBefore) {
           console.log("⏹️ No new publications loaded - stopping pagination");
@@ -188,26 +533,117 @@
             newCount - publicationsBefore
           } new publications (total: ${newCount})`
         );
+        // Scholar relabels the range under the table for the rows it added
+        addPageIssue(
+          issues,
+          readReportedRange(document),
+          publicationsBefore,
+          newCount - publicationsBefore
+        );
         publicationsBefore = newCount;
         attempts++;
+        if (onPage) onPage(attempts, newCount);
 
         await new Promise((resolve) => setTimeout(resolve, 300));
       } catch (error) {
+        if (error.cancelled) throw error;
         console.log("❌ Error during pagination:", error);
         break;
       }
     }
 
-    const finalCount = document.querySelectorAll("tr.gsc_a_tr").length;
-    console.log(
-      `🏁 Pagination complete. Final count: ${finalCount} publications`
-    );
-
     await new Promise((resolve) => setTimeout(resolve, 500));
-    return finalCount;
+    return {
+      count: countPublicationRows(),
+      complete: hasMorePages(document) === false,
+      issues: issues,
+    };
+  }
+
+  // Scholar disables its "Show more" button on the last page
+  // Returns null when the page has no such button at all
+  function hasMorePages(page) {
+    const button = page.querySelector("#gsc_bpf_more");
+    if (!button) return null;
+    return !button.disabled && !button.hasAttribute("disabled");
+  }
+
+  // Range of the rows a page holds, as Scholar shows it under the table,
+  // e.g. { start: 101, end: 134 } for "Articles 101–134" or "文章 101–134";
+  // null when it is missing. It describes that page only, not the profile
+  function readReportedRange(page) {
+    const range = page.querySelector("#gsc_a_nn");
+    if (!range) return null;
+
+    // Drop thousands separators such as "1,001" or "1 001"
+    const numbers = range.textContent
+      .replace(/(\d)[,.\s\u00a0\u202f](?=\d{3}\b)/g, "$1")
+      .match(/\d+/g);
+    if (!numbers || numbers.length < 2) return null;
+    return {
+      start: Number(numbers[numbers.length - 2]),
+      end: Number(numbers[numbers.length - 1]),
+    };
+  }
+
+  // A page must start right after the rows loaded before it and hold as many
+  // rows as its range says; otherwise a page was lost, repeated or cut short
+  function addPageIssue(issues, range, offset, rowCount) {
+    if (!range || rowCount === 0) return;
+
+    if (range.start !== offset + 1) {
+      issues.push(
+        `Scholar sent publications ${range.start}–${
+          range.end
+        } when asked for those from ${
+          offset + 1
+        }, so some may be missing or counted twice.`
+      );
+    } else if (range.end - range.start + 1 !== rowCount) {
+      issues.push(
+        `Scholar labelled publications ${range.start}–${range.end} but sent ${rowCount} rows, so some may be missing.`
+      );
+    }
+  }
+
+  // Rows whose citation id already appeared on an earlier row
+  function countRepeatedRows() {
+    const seen = new Set();
+    let repeated = 0;
+    document.querySelectorAll("tr.gsc_a_tr .gsc_a_at").forEach((link) => {
+      const id = CitationDetails.citationId(link.href);
+      if (!id) return;
+      if (seen.has(id)) repeated++;
+      seen.add(id);
+    });
+    return repeated;
+  }
+
+  // Check that the pages line up with each other: every page starts at its
+  // offset, holds the rows its range names and no paper arrives twice
+  function checkPagination(pagination) {
+    const warnings = [];
+    if (!pagination.complete) {
+      warnings.push(
+        `Scholar still offered more publications after ${pagination.count} were loaded, so the results may be incomplete.`
+      );
+    }
+    warnings.push(...pagination.issues);
+
+    const repeated = countRepeatedRows();
+    if (repeated > 0) {
+      warnings.push(
+        `${repeated} publication${
+          repeated === 1 ? " was" : "s were"
+        } loaded more than once and counted each time.`
+      );
+    }
+    warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+    return warnings;
   }
 
-  // Find show more button
+  // Find Scholar's "Show more" button by its id and classes only; its label
+  // changes with the interface language
   function findShowMoreButton() {
     const selectors = ["#gsc_bpf_more", "button#gsc_bpf_more", ".gsc_pgn_pnx"];
 
@@ -218,36 +654,17 @@
       }
     }
 
-    // Fallback: text-based search
-    const allButtons = document.querySelectorAll(
-      'button, span[role="button"], div[role="button"]'
-    );
-    for (const element of allButtons) {
-      const text = element.textContent.toLowerCase().trim();
-      if (
-        (text.includes("show more") || text === "more") &&
-        isValidShowMoreButton(element)
-      ) {
-        return element;
-      }
-    }
-
     return null;
   }
 
   // Validate show more button
   function isValidShowMoreButton(element) {
     const isVisible = element.offsetParent !== null;
-    const isEnabled = !element.disabled;
-    const text = element.textContent.toLowerCase().trim();
-    const hasValidText =
-      text.includes("show more") ||
-      text.includes("more") ||
-      element.id === "gsc_bpf_more";
+    const isEnabled = !element.disabled && !element.hasAttribute("disabled");
     const isNotPaperLink =
       !element.closest("td.gsc_a_t") && !element.classList.contains("gsc_a_at");
 
-    return isVisible && isEnabled && hasValidText && isNotPaperLink;
+    return isVisible && isEnabled && isNotPaperLink;
   }
 
   // Wait for new publications to load
@@ -264,7 +681,8 @@
           return;
         }
 
-        if (Date.now() - startTime > timeout) {
+        // Stop waiting as soon as the user cancels
+        if (Date.now() - startTime > timeout || cancelRequested) {
           resolve(currentCount);
           return;
         }
@@ -280,17 +698,20 @@
   }
 
   // Extract venue data using JSON mapping
-  function extractVenueDataWithMapping() {
-    const publications = document.querySelectorAll("tr.gsc_a_tr");
-    console.log(
-      `🔍 Processing ${publications.length} publications with JSON mapping`
-    );
+  // onRows(rowsNormalized) is called every few rows and once at the end
+  // When onEnrich is given, skipped and truncated rows are then resolved from
+  // their citation pages and onEnrich(rowsEnriched, rowsToEnrich) reports it
+  async function extractVenueDataWithMapping(onRows, onEnrich) {
+    const rows = document.querySelectorAll("tr.gsc_a_tr");
+    console.log(`🔍 Processing ${rows.length} publications with JSON mapping`);
 
-    const venues = {};
-    let processedCount = 0;
-    let skippedCount = 0;
+    // Compile the mapping once for every row of this analysis
+    const venueMatcher = VenueNormalizer.createMatcher(venueMapping);
 
-    publications.forEach((pub, index) => {
+    const publications = [];
+
+    rows.forEach((pub, index) => {
+      const titleElement = pub.querySelector(".gsc_a_at");
       const grayElements = pub.querySelectorAll(".gs_gray");
       let venueElement;
 
@@ -303,145 +724,252 @@
           pub.querySelector(".gsc_a_j") || pub.querySelector(".gs_gray");
       }
 
-      if (venueElement) {
-        const venueText = venueElement.textContent.trim();
-        const normalizedVenue = normalizeVenueWithMapping(venueText);
-        console.debug(`${venueText} ----> ${normalizedVenue}`);
-        if (normalizedVenue) {
-          venues[normalizedVenue] = (venues[normalizedVenue] || 0) + 1;
-          processedCount++;
-        } else {
-          skippedCount++;
-        }
-      } else {
-        skippedCount++;
+      const venueText = venueElement ? venueElement.textContent.trim() : "";
+      const match = venueMatcher.normalize(venueText);
+      if (venueText) {
+        console.debug(`${venueText} ----> ${match ? match.venue : null}`);
       }
+
+      publications.push({
+        title: titleElement ? titleElement.textContent.trim() : "",
+        authors:
+          grayElements.length >= 2 ? grayElements[0].textContent.trim() : "",
+        link: titleElement ? titleElement.href : "",
+        venueText: venueText,
+        ...VenueNormalizer.venueFields(match),
+        year: extractPublicationYear(pub),
+        citations: extractCitationCount(pub),
+      });
+
+      if (onRows && (index + 1) % 50 === 0) onRows(index + 1);
     });
+    if (onRows) onRows(rows.length);
+
+    let enrichment = { enrichedCount: 0, warnings: [] };
+    if (onEnrich) {
+      enrichment = await enrichPublications(
+        publications,
+        venueMatcher,
+        onEnrich
+      );
+    }
 
-    console.log(
-      `✅ Extraction complete: ${processedCount} processed, ${skippedCount} skipped, ${
-        Object.keys(venues).length
-      } unique venues`
+    const processedCount = publications.filter((pub) => pub.venue).length;
+    const skippedCount = publications.length - processedCount;
+
+    // A preprint that was also published counts once, under its venue
+    const duplicates = PreprintDedup.findDuplicates(publications);
+    const aggregated = aggregateVenues(
+      PreprintDedup.mergeDuplicates(publications, duplicates)
     );
 
-    // Convert to array and sort by count
-    const venueArray = Object.entries(venues)
-      .map(([venue, count]) => ({ venue, count }))
-      .sort((a, b) => b.count - a.count);
+    console.log(
+      `✅ Extraction complete: ${processedCount} processed, ${skippedCount} skipped, ${duplicates.length} preprint duplicates merged, ${aggregated.venues.length} unique venues`
+    );
 
     return {
-      venues: venueArray,
+      publications: publications,
+      venues: aggregated.venues,
+      timeline: aggregated.timeline,
+      categories: aggregated.categories,
+      tiers: aggregated.tiers,
+      topTier: aggregated.topTier,
+      duplicates: duplicates,
       processedCount: processedCount,
       skippedCount: skippedCount,
+      enrichedCount: enrichment.enrichedCount,
+      enrichmentWarnings: enrichment.warnings,
     };
   }
 
-  // Normalize venue using JSON mapping
-  function normalizeVenueWithMapping(venueText) {
-    if (!venueText || !venueMapping) return null;
+  // Resolve skipped and truncated rows from their citation pages: full
+  // authors, the publication year and the conference/journal/publisher
+  // fields, which are normalized again. Pages come from the cache when
+  // possible; network requests are throttled and capped per analysis
+  // Returns { enrichedCount, warnings }
+  async function enrichPublications(publications, venueMatcher, onEnrich) {
+    const indexes = CitationDetails.selectForEnrichment(publications);
+    const warnings = [];
+    console.log(`🔎 Enriching ${indexes.length} rows from citation pages`);
+    if (indexes.length === 0) return { enrichedCount: 0, warnings };
+
+    const cache = await loadDetailsCache();
+    let fetches = 0;
+    let enrichedCount = 0;
+    onEnrich(0, indexes.length);
+
+    for (let i = 0; i < indexes.length; i++) {
+      throwIfCancelled();
+      const publication = publications[indexes[i]];
+      const id = CitationDetails.citationId(publication.link);
+
+      let details = cache[id];
+      if (!details) {
+        if (fetches >= MAX_ENRICHMENT_FETCHES) {
+          warnings.push(
+            `Only ${MAX_ENRICHMENT_FETCHES} citation pages are read per analysis; ${
+              indexes.length - i
+            } rows were left as they are. Analyze again to continue from the cache.`
+          );
+          break;
+        }
+        if (fetches > 0) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, ENRICHMENT_DELAY_MS)
+          );
+          throwIfCancelled();
+        }
+        fetches++;
+
+        try {
+          details = await fetchCitationDetails(publication.link);
+        } catch (error) {
+          if (error.captcha) {
+            warnings.push(
+              "Google Scholar asked to verify that you are not a robot, so the remaining rows were not enriched."
+            );
+            break;
+          }
+          console.log(
+            `⚠️ Could not read citation page for "${publication.title}":`,
+            error
+          );
+          continue;
+        }
+        cache[id] = Object.assign({ fetchedAt: Date.now() }, details);
+      }
 
-    // Store original for debugging
-    const originalText = venueText;
+      if (applyCitationDetails(publication, details, venueMatcher)) {
+        enrichedCount++;
+      }
+      onEnrich(i + 1, indexes.length);
+    }
 
-    // Preprocessing based on JSON config
-    let processedText = venueText;
+    await saveDetailsCache(cache);
+    warnings.forEach((warning) => console.warn(`⚠️ ${warning}`));
+    console.log(`✅ Enriched ${enrichedCount} rows with ${fetches} requests`);
+    return { enrichedCount, warnings };
+  }
+
+  // Copy what the citation page adds; a new venue only replaces a missing
+  // one or a fallback guess. Returns whether anything changed
+  function applyCitationDetails(publication, details, venueMatcher) {
+    let changed = false;
 
-    // Apply preprocessing patterns from JSON
     if (
-      venueMapping.preprocessing &&
-      venueMapping.preprocessing.remove_patterns
+      details.authors &&
+      details.authors.length > (publication.authors || "").length
     ) {
-      venueMapping.preprocessing.remove_patterns.forEach((pattern) => {
-        processedText = processedText.replace(new RegExp(pattern, "gi"), " ");
-      });
+      publication.authors = details.authors;
+      changed = true;
     }
-
-    // Clean up whitespace
-    processedText = processedText.replace(/\s+/g, " ").trim();
-
-    // Check minimum length
-    const minLength = venueMapping.preprocessing?.skip_short_venues || 3;
-    if (processedText.length < minLength) {
-      return null;
+    if (!publication.year && details.year) {
+      publication.year = details.year;
+      changed = true;
     }
 
-    // Skip generic terms
-    const genericTerms = venueMapping.preprocessing?.skip_generic_terms || [];
     if (
-      genericTerms.some((term) =>
-        new RegExp(`^${term}$`, "i").test(processedText)
-      )
+      details.venueText &&
+      (!publication.venue || publication.matchSource === "fallback")
     ) {
-      return null;
+      const match = venueMatcher.normalize(details.venueText);
+      if (match && (!publication.venue || match.source !== "fallback")) {
+        Object.assign(publication, VenueNormalizer.venueFields(match));
+        publication.venueText = details.venueText;
+        changed = true;
+      }
     }
 
-    const lowerVenue = processedText.toLowerCase();
-
-    // Check for workshop
-    const isWorkshop =
-      venueMapping.workshop_detection?.patterns?.some((pattern) =>
-        new RegExp(pattern, "i").test(venueText)
-      ) || false;
-
-    // Search through all categories and venues
-    for (const [categoryKey, category] of Object.entries(
-      venueMapping.categories
-    )) {
-      if (!category.venues) continue;
+    if (changed) publication.enriched = true;
+    return changed;
+  }
 
-      for (const [venueKey, venueConfig] of Object.entries(category.venues)) {
-        if (!venueConfig.patterns) continue;
+  // Read the field table of a citation page, asking for English labels
+  async function fetchCitationDetails(link) {
+    const url = new URL(link, window.location.href);
+    url.searchParams.set("hl", "en");
 
-        // Check negative patterns first (if any)
-        if (venueConfig.negative_patterns) {
-          const hasNegativeMatch = venueConfig.negative_patterns.some(
-            (negPattern) => new RegExp(negPattern, "i").test(lowerVenue)
-          );
-          if (hasNegativeMatch) continue;
-        }
+    const response = await fetch(url.toString(), {
+      credentials: "same-origin",
+    });
+    if (new URL(response.url).pathname.startsWith("/sorry")) {
+      const error = new Error("Google Scholar asked for a robot check");
+      error.captcha = true;
+      throw error;
+    }
+    if (!response.ok) {
+      throw new Error(`Scholar answered ${response.status}`);
+    }
 
-        // Check positive patterns
-        const hasMatch = venueConfig.patterns.some((pattern) =>
-          new RegExp(pattern, "i").test(lowerVenue)
-        );
+    const page = new DOMParser().parseFromString(
+      await response.text(),
+      "text/html"
+    );
+    const fields = Array.from(
+      page.querySelectorAll("#gsc_oci_table .gs_scl")
+    ).map((row) => {
+      const label = row.querySelector(".gsc_oci_field");
+      const value = row.querySelector(".gsc_oci_value");
+      return {
+        label: label ? label.textContent : "",
+        value: value ? value.textContent : "",
+      };
+    });
+    return CitationDetails.parseCitationFields(fields);
+  }
 
-        if (hasMatch) {
-          // Return with workshop suffix if applicable
-          if (isWorkshop && venueConfig.type === "conference") {
-            return (
-              venueKey +
-              (venueMapping.workshop_detection?.suffix || " Workshop")
-            );
-          }
-          return venueKey;
-        }
-      }
+  // Citation pages rarely change, so their fields are kept between analyses
+  async function loadDetailsCache() {
+    try {
+      const stored = await chrome.storage.local.get(DETAILS_CACHE_KEY);
+      return stored[DETAILS_CACHE_KEY] || {};
+    } catch (error) {
+      console.error("❌ Failed to load citation cache:", error);
+      return {};
     }
+  }
 
-    // Fallback: return cleaned venue name if no match found
-    let fallbackVenue = processedText.split(/[,.(]/)[0].trim();
+  // Keep the most recently fetched MAX_CACHED_DETAILS entries
+  async function saveDetailsCache(cache) {
+    const entries = Object.entries(cache)
+      .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+      .slice(0, MAX_CACHED_DETAILS);
+    try {
+      await chrome.storage.local.set({
+        [DETAILS_CACHE_KEY]: Object.fromEntries(entries),
+      });
+    } catch (error) {
+      console.error("❌ Failed to save citation cache:", error);
+    }
+  }
 
-    // Remove common prefixes
-    fallbackVenue = fallbackVenue.replace(
-      /^(proceedings of the |proceedings of |proceedings |proc\.?\s+|the\s+)/i,
-      ""
+  // Group normalized publications with the category names and tier order
+  // of the current mapping
+  function aggregateVenues(publications) {
+    return VenueAggregation.aggregateVenues(
+      publications,
+      VenueAggregation.mappingOptions(venueMapping)
     );
-    fallbackVenue = fallbackVenue.replace(/^\d{4}\s+/, "");
-    fallbackVenue = fallbackVenue.replace(/^\d+(?:st|nd|rd|th)\s+/i, "");
-    fallbackVenue = fallbackVenue.trim();
-
-    // Clean up suffixes
-    fallbackVenue = fallbackVenue.replace(/\s+(proceedings|proc\.?)$/i, "");
-    fallbackVenue = fallbackVenue.replace(/\s+\d{4}$/, "");
-    fallbackVenue = fallbackVenue.replace(/\s+\d+$/, "");
-    fallbackVenue = fallbackVenue.trim();
-
-    // Final check
-    if (fallbackVenue.length < minLength) {
-      return null;
-    }
+  }
+
+  // Read the citation count from the "Cited by" column of a row
+  function extractCitationCount(pub) {
+    const citationElement =
+      pub.querySelector(".gsc_a_c .gsc_a_ac") || pub.querySelector(".gsc_a_c");
+    if (!citationElement) return 0;
+
+    const count = parseInt(citationElement.textContent.replace(/\D/g, ""), 10);
+    return isNaN(count) ? 0 : count;
+  }
+
+  // Read the publication year from the year column of a row
+  function extractPublicationYear(pub) {
+    const yearElement =
+      pub.querySelector(".gsc_a_y .gsc_a_h") || pub.querySelector(".gsc_a_y");
+    if (!yearElement) return null;
 
-    return fallbackVenue;
+    const match = yearElement.textContent.match(/\b(19|20)\d{2}\b/);
+    return match ? Number(match[0]) : null;
   }
 
   // Initialize venue mapping on load
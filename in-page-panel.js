@@ -0,0 +1,242 @@
+// Renders an analysis directly on the Scholar profile page: a collapsible
+// panel under the profile header and a venue badge on every publication row
+// Loaded next to content.js and citation-details.js; styles live in
+// in-page-panel.css
+(function (root) {
+  // Content scripts can be injected more than once per page
+  if (root.InPagePanel) return;
+
+  const PANEL_ID = "sva-panel";
+  const TOP_VENUE_COUNT = 10;
+
+  // Collapsed state is remembered while the page stays open
+  let collapsed = false;
+
+  function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  function tierBadge(item) {
+    if (!item.tier && !item.top) return null;
+    const badge = createElement(
+      "span",
+      item.top ? "sva-tier sva-top" : "sva-tier",
+      item.tier || "★"
+    );
+    badge.title = item.top ? "Top venue" : `Tier ${item.tier}`;
+    return badge;
+  }
+
+  // Venue ranking with a toggle between the top venues and all of them
+  function buildVenueTable(venues) {
+    const wrapper = createElement("div", "sva-section");
+    wrapper.appendChild(createElement("h3", "sva-heading", "Top venues"));
+
+    const table = createElement("table", "sva-table");
+    const showAllBtn = createElement("button", "sva-link");
+    let showingAll = false;
+
+    const renderRows = () => {
+      table.innerHTML = "";
+      const headerRow = createElement("tr");
+      ["#", "Venue", "Papers", "Cites"].forEach((title) => {
+        headerRow.appendChild(createElement("th", null, title));
+      });
+      table.appendChild(headerRow);
+
+      (showingAll ? venues : venues.slice(0, TOP_VENUE_COUNT)).forEach(
+        (item, index) => {
+          const row = createElement("tr");
+          row.appendChild(createElement("td", "sva-rank", index + 1));
+
+          const venueCell = createElement("td", null, item.venue);
+          const badge = tierBadge(item);
+          if (badge) venueCell.appendChild(badge);
+          venueCell.appendChild(
+            createElement(
+              "span",
+              "sva-area",
+              item.categoryName || "Uncategorized"
+            )
+          );
+          row.appendChild(venueCell);
+
+          row.appendChild(createElement("td", "sva-number", item.count));
+          row.appendChild(
+            createElement(
+              "td",
+              "sva-number",
+              (item.totalCitations || 0).toLocaleString()
+            )
+          );
+          table.appendChild(row);
+        }
+      );
+
+      showAllBtn.textContent = showingAll
+        ? `Show top ${TOP_VENUE_COUNT}`
+        : `Show all ${venues.length} venues`;
+      showAllBtn.style.display =
+        venues.length > TOP_VENUE_COUNT ? "inline" : "none";
+    };
+
+    showAllBtn.addEventListener("click", function () {
+      showingAll = !showingAll;
+      renderRows();
+    });
+
+    renderRows();
+    wrapper.appendChild(table);
+    wrapper.appendChild(showAllBtn);
+    return wrapper;
+  }
+
+  // One bar per research area, sized by its share of venue-matched papers
+  function buildCategoryChart(categories) {
+    const wrapper = createElement("div", "sva-section");
+    wrapper.appendChild(createElement("h3", "sva-heading", "Research areas"));
+
+    categories.forEach((item) => {
+      const row = createElement("div", "sva-bar-row");
+      row.appendChild(createElement("span", "sva-bar-label", item.name));
+
+      const track = createElement("span", "sva-bar-track");
+      const fill = createElement(
+        "span",
+        item.category ? "sva-bar-fill" : "sva-bar-fill sva-uncategorized"
+      );
+      fill.style.width = `${Math.max(1, Math.round(item.share * 100))}%`;
+      track.appendChild(fill);
+      row.appendChild(track);
+
+      row.appendChild(
+        createElement(
+          "span",
+          "sva-bar-value",
+          `${item.count} (${Math.round(item.share * 100)}%)`
+        )
+      );
+      wrapper.appendChild(row);
+    });
+
+    return wrapper;
+  }
+
+  function renderPanel(analysis) {
+    const existing = document.getElementById(PANEL_ID);
+    if (existing) existing.remove();
+
+    const panel = createElement("div", "sva-panel");
+    panel.id = PANEL_ID;
+
+    const header = createElement("button", "sva-panel-header");
+    const body = createElement("div", "sva-panel-body");
+    const updateHeader = () => {
+      header.textContent = `${collapsed ? "▸" : "▾"} 📊 Publication venues: ${
+        (analysis.venues || []).length
+      } venues, ${analysis.totalProcessed || 0} papers with venue info${
+        analysis.savedAt
+          ? ` · saved ${new Date(analysis.savedAt).toLocaleDateString()}`
+          : ""
+      }`;
+      body.style.display = collapsed ? "none" : "flex";
+    };
+    header.addEventListener("click", function () {
+      collapsed = !collapsed;
+      updateHeader();
+    });
+
+    body.appendChild(buildVenueTable(analysis.venues || []));
+    if ((analysis.categories || []).length > 0) {
+      body.appendChild(buildCategoryChart(analysis.categories));
+    }
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    updateHeader();
+
+    // Right under the profile header, above the publication list
+    const anchor =
+      document.getElementById("gsc_prf_w") ||
+      document.getElementById("gsc_prf");
+    if (anchor && anchor.parentNode) {
+      anchor.parentNode.insertBefore(panel, anchor.nextSibling);
+    } else {
+      document.body.insertBefore(panel, document.body.firstChild);
+    }
+  }
+
+  // Rows are matched to publications by Scholar's citation id, so a saved
+  // analysis still lands on the right rows after a reload shows fewer rows
+  // or another order. Rows without a link fall back to their position, the
+  // order the analysis read them in. Merged preprints point at their
+  // published version
+  function annotateRows(publications, duplicates) {
+    const mergedInto = new Map();
+    (duplicates || []).forEach((pair) => {
+      mergedInto.set(pair.preprint, publications[pair.published]);
+    });
+
+    const indexById = new Map();
+    publications.forEach((publication, index) => {
+      const id = CitationDetails.citationId(publication.link);
+      if (id) indexById.set(id, index);
+    });
+
+    const rows = document.querySelectorAll("tr.gsc_a_tr");
+    rows.forEach((row, rowIndex) => {
+      const previous = row.querySelector(".sva-badge");
+      if (previous) previous.remove();
+
+      const titleLink = row.querySelector(".gsc_a_at");
+      const id = CitationDetails.citationId(titleLink ? titleLink.href : "");
+      const index = id ? indexById.get(id) : rowIndex;
+      const publication = publications[index];
+      if (!publication || !publication.venue) return;
+
+      let className = "sva-badge";
+      if (publication.top) className += " sva-top";
+      if (publication.matchSource === "fallback") className += " sva-fallback";
+
+      const badge = createElement(
+        "span",
+        className,
+        publication.tier
+          ? `${publication.venue} · ${publication.tier}`
+          : publication.venue
+      );
+      badge.title =
+        publication.matchSource === "fallback"
+          ? "Venue not in the mapping; name cleaned from Scholar's text"
+          : `Normalized venue${publication.top ? " (top venue)" : ""}`;
+
+      const published = mergedInto.get(index);
+      if (published) {
+        badge.className = "sva-badge sva-merged";
+        badge.textContent = `${publication.venue} → ${published.venue}`;
+        badge.title = `Preprint of a paper published at ${published.venue}; counted once, under ${published.venue}`;
+      }
+
+      const titleCell = row.querySelector(".gsc_a_t") || row.firstElementChild;
+      if (titleCell) titleCell.appendChild(badge);
+    });
+  }
+
+  // Show an analysis result on the page, replacing any earlier one
+  function render(analysis) {
+    renderPanel(analysis);
+    annotateRows(analysis.publications || [], analysis.duplicates);
+  }
+
+  // Remove the panel and every row badge
+  function clear() {
+    const panel = document.getElementById(PANEL_ID);
+    if (panel) panel.remove();
+    document.querySelectorAll(".sva-badge").forEach((badge) => badge.remove());
+  }
+
+  root.InPagePanel = { render, clear };
+})(typeof self !== "undefined" ? self : this);
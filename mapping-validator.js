@@ -0,0 +1,411 @@
+// Validates a venue mapping: schema, regex compilation, tiers, shadowed and
+// unreachable venues. Runs in extension pages and under Node
+(function (root) {
+  const KNOWN_VENUE_TYPES = [
+    "conference",
+    "journal",
+    "workshop",
+    "preprint",
+    "patent",
+    "publisher",
+  ];
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // Collects issues as { level: "error" | "warning", path, message }
+  function createReport() {
+    const issues = [];
+    return {
+      issues,
+      error: (path, message) => issues.push({ level: "error", path, message }),
+      warning: (path, message) =>
+        issues.push({ level: "warning", path, message }),
+    };
+  }
+
+  // Compile a pattern, reporting it instead of throwing
+  function compilePattern(pattern, flags, path, report) {
+    if (typeof pattern !== "string") {
+      report.error(path, "pattern must be a string");
+      return null;
+    }
+    if (pattern.trim() === "") {
+      report.error(path, "pattern is empty and would match every venue");
+      return null;
+    }
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      report.error(path, `invalid regular expression: ${error.message}`);
+      return null;
+    }
+  }
+
+  function checkStringArray(value, path, report, required) {
+    if (value === undefined) {
+      if (required) report.error(path, "is required");
+      return false;
+    }
+    if (!Array.isArray(value)) {
+      report.error(path, "must be an array of strings");
+      return false;
+    }
+    if (required && value.length === 0) {
+      report.error(path, "must contain at least one pattern");
+      return false;
+    }
+    return true;
+  }
+
+  function validatePreprocessing(preprocessing, report) {
+    if (preprocessing === undefined) return;
+    if (!isPlainObject(preprocessing)) {
+      report.error("preprocessing", "must be an object");
+      return;
+    }
+
+    const removePath = "preprocessing.remove_patterns";
+    if (checkStringArray(preprocessing.remove_patterns, removePath, report)) {
+      preprocessing.remove_patterns.forEach((pattern, index) =>
+        compilePattern(pattern, "gi", `${removePath}[${index}]`, report)
+      );
+    }
+
+    const minLength = preprocessing.skip_short_venues;
+    if (
+      minLength !== undefined &&
+      (typeof minLength !== "number" || minLength < 0)
+    ) {
+      report.error(
+        "preprocessing.skip_short_venues",
+        "must be a non-negative number"
+      );
+    }
+
+    const genericPath = "preprocessing.skip_generic_terms";
+    if (
+      checkStringArray(preprocessing.skip_generic_terms, genericPath, report)
+    ) {
+      preprocessing.skip_generic_terms.forEach((term, index) =>
+        compilePattern(`^${term}$`, "i", `${genericPath}[${index}]`, report)
+      );
+    }
+  }
+
+  function validateWorkshopDetection(workshopDetection, report) {
+    if (workshopDetection === undefined) return;
+    if (!isPlainObject(workshopDetection)) {
+      report.error("workshop_detection", "must be an object");
+      return;
+    }
+
+    const patternsPath = "workshop_detection.patterns";
+    if (checkStringArray(workshopDetection.patterns, patternsPath, report)) {
+      workshopDetection.patterns.forEach((pattern, index) =>
+        compilePattern(pattern, "i", `${patternsPath}[${index}]`, report)
+      );
+    }
+
+    if (
+      workshopDetection.suffix !== undefined &&
+      typeof workshopDetection.suffix !== "string"
+    ) {
+      report.error("workshop_detection.suffix", "must be a string");
+    }
+  }
+
+  // tiers.order lists every tier from best to worst; tiers.top is the subset
+  // that counts as a top venue
+  function validateTiers(tiers, report) {
+    if (tiers === undefined) return [];
+    if (!isPlainObject(tiers)) {
+      report.error("tiers", "must be an object");
+      return [];
+    }
+
+    ["order", "top"].forEach((key) => {
+      const value = tiers[key];
+      if (
+        value !== undefined &&
+        (!Array.isArray(value) ||
+          value.some((tier) => typeof tier !== "string"))
+      ) {
+        report.error(`tiers.${key}`, "must be an array of strings");
+      }
+    });
+
+    const order = Array.isArray(tiers.order) ? tiers.order : [];
+    if (Array.isArray(tiers.top) && order.length > 0) {
+      tiers.top
+        .filter((tier) => !order.includes(tier))
+        .forEach((tier) =>
+          report.warning("tiers.top", `"${tier}" is not listed in tiers.order`)
+        );
+    }
+    return order;
+  }
+
+  function validateVenueTier(venue, venuePath, tierOrder, report) {
+    if (venue.tier !== undefined && venue.tier !== null) {
+      if (typeof venue.tier !== "string") {
+        report.error(`${venuePath}.tier`, "must be a string");
+      } else if (tierOrder.length > 0 && !tierOrder.includes(venue.tier)) {
+        report.warning(
+          `${venuePath}.tier`,
+          `unknown tier "${venue.tier}" (expected one of ${tierOrder.join(
+            ", "
+          )})`
+        );
+      }
+    }
+    if (venue.top_venue !== undefined && typeof venue.top_venue !== "boolean") {
+      report.error(`${venuePath}.top_venue`, "must be true or false");
+    }
+  }
+
+  // Validate categories and venues, returning compiled venues in match order
+  function validateCategories(categories, tierOrder, report) {
+    const compiled = [];
+
+    if (!isPlainObject(categories)) {
+      report.error("categories", "is required and must be an object");
+      return compiled;
+    }
+
+    const seenVenues = {};
+
+    Object.entries(categories).forEach(([categoryKey, category]) => {
+      const categoryPath = `categories.${categoryKey}`;
+      if (!isPlainObject(category)) {
+        report.error(categoryPath, "must be an object");
+        return;
+      }
+      if (typeof category.display_name !== "string") {
+        report.warning(
+          `${categoryPath}.display_name`,
+          "is missing; the category key will be shown instead"
+        );
+      }
+      if (!isPlainObject(category.venues)) {
+        report.error(
+          `${categoryPath}.venues`,
+          "is required and must be an object"
+        );
+        return;
+      }
+
+      Object.entries(category.venues).forEach(([venueKey, venue]) => {
+        const venuePath = `${categoryPath}.venues.${venueKey}`;
+        if (!isPlainObject(venue)) {
+          report.error(venuePath, "must be an object");
+          return;
+        }
+
+        if (seenVenues[venueKey]) {
+          report.warning(
+            venuePath,
+            `venue name is also defined in ${seenVenues[venueKey]}; results cannot tell them apart`
+          );
+        } else {
+          seenVenues[venueKey] = categoryPath;
+        }
+
+        if (
+          venue.full_name !== undefined &&
+          typeof venue.full_name !== "string"
+        ) {
+          report.error(`${venuePath}.full_name`, "must be a string");
+        }
+        if (
+          venue.type !== undefined &&
+          !KNOWN_VENUE_TYPES.includes(venue.type)
+        ) {
+          report.warning(
+            `${venuePath}.type`,
+            `unknown type "${
+              venue.type
+            }" (expected one of ${KNOWN_VENUE_TYPES.join(", ")})`
+          );
+        }
+        validateVenueTier(venue, venuePath, tierOrder, report);
+
+        const patterns = [];
+        if (
+          checkStringArray(
+            venue.patterns,
+            `${venuePath}.patterns`,
+            report,
+            true
+          )
+        ) {
+          venue.patterns.forEach((pattern, index) => {
+            const regex = compilePattern(
+              pattern,
+              "i",
+              `${venuePath}.patterns[${index}]`,
+              report
+            );
+            if (regex) patterns.push({ source: pattern, regex });
+          });
+        }
+
+        const negativePatterns = [];
+        const negativePath = `${venuePath}.negative_patterns`;
+        if (checkStringArray(venue.negative_patterns, negativePath, report)) {
+          venue.negative_patterns.forEach((pattern, index) => {
+            const regex = compilePattern(
+              pattern,
+              "i",
+              `${negativePath}[${index}]`,
+              report
+            );
+            if (regex) negativePatterns.push(regex);
+          });
+        }
+
+        compiled.push({
+          path: venuePath,
+          venueKey,
+          venue,
+          patterns,
+          negativePatterns,
+        });
+      });
+    });
+
+    return compiled;
+  }
+
+  // Turn a pattern into a plain string it is meant to match, if it is simple
+  // enough ("cvf.*?winter conference" -> "cvf winter conference")
+  function samplePattern(pattern) {
+    const sample = pattern
+      .replace(/\\b/g, "")
+      .replace(/\\s[*+?]?\??/g, " ")
+      .replace(/\\d\{4\}/g, "2020")
+      .replace(/\\d[*+]?\??/g, "1")
+      .replace(/\.[*+]\??/g, " ")
+      .replace(/\\\./g, ".")
+      .replace(/\s+/g, " ")
+      .trim();
+
+    return /[\\[\](){}|?+*^$]/.test(sample) ? null : sample.toLowerCase();
+  }
+
+  function matchesVenue(entry, text) {
+    if (entry.negativePatterns.some((regex) => regex.test(text))) return false;
+    return entry.patterns.some((item) => item.regex.test(text));
+  }
+
+  // Find venues whose samples are claimed by a venue earlier in match order
+  function findShadowedVenues(compiled, report) {
+    compiled.forEach((entry, index) => {
+      const samples = new Set();
+      entry.patterns.forEach((item) => {
+        const sample = samplePattern(item.source);
+        if (sample) samples.add(sample);
+      });
+      if (typeof entry.venue.full_name === "string" && entry.venue.full_name) {
+        samples.add(entry.venue.full_name.toLowerCase());
+      }
+
+      // Only samples the venue itself matches say anything about shadowing
+      const ownSamples = Array.from(samples).filter((sample) =>
+        matchesVenue(entry, sample)
+      );
+      if (ownSamples.length === 0) return;
+
+      const shadowedBy = {};
+      ownSamples.forEach((sample) => {
+        const winner = compiled
+          .slice(0, index)
+          .find((earlier) => matchesVenue(earlier, sample));
+        if (winner) {
+          shadowedBy[sample] = winner;
+        }
+      });
+
+      const shadowedSamples = Object.keys(shadowedBy);
+      if (shadowedSamples.length === 0) return;
+
+      const winners = Array.from(
+        new Set(shadowedSamples.map((sample) => shadowedBy[sample].venueKey))
+      ).join(", ");
+
+      // Shadowing never breaks an analysis, so it is reported as a warning
+      if (shadowedSamples.length === ownSamples.length) {
+        report.warning(
+          entry.path,
+          `unreachable: every sample of this venue is matched first by ${winners} (e.g. "${shadowedSamples[0]}")`
+        );
+      } else {
+        report.warning(
+          entry.path,
+          `partly shadowed by ${winners}: ${shadowedSamples
+            .map((sample) => `"${sample}"`)
+            .join(", ")} never reach this venue`
+        );
+      }
+    });
+  }
+
+  // Validate a whole mapping object
+  // Returns { valid, errors, warnings, venueCount }
+  function validateMapping(mapping) {
+    const report = createReport();
+
+    if (!isPlainObject(mapping)) {
+      report.error("(root)", "mapping must be a JSON object");
+    } else {
+      validatePreprocessing(mapping.preprocessing, report);
+      validateWorkshopDetection(mapping.workshop_detection, report);
+      const tierOrder = validateTiers(mapping.tiers, report);
+      const compiled = validateCategories(
+        mapping.categories,
+        tierOrder,
+        report
+      );
+      findShadowedVenues(compiled, report);
+    }
+
+    const errors = report.issues.filter((issue) => issue.level === "error");
+    const warnings = report.issues.filter((issue) => issue.level === "warning");
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      venueCount: isPlainObject(mapping && mapping.categories)
+        ? Object.values(mapping.categories).reduce(
+            (sum, category) =>
+              sum +
+              (isPlainObject(category) && isPlainObject(category.venues)
+                ? Object.keys(category.venues).length
+                : 0),
+            0
+          )
+        : 0,
+    };
+  }
+
+  // One line per issue, for status boxes and the command line
+  function formatIssues(result) {
+    return result.errors
+      .concat(result.warnings)
+      .map(
+        (issue) =>
+          `${issue.level.toUpperCase()} ${issue.path}: ${issue.message}`
+      )
+      .join("\n");
+  }
+
+  const MappingValidator = { validateMapping, formatIssues, samplePattern };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = MappingValidator;
+  } else {
+    root.MappingValidator = MappingValidator;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,603 @@
+document.addEventListener("DOMContentLoaded", function () {
+  // Mapping shipped with the extension
+  let bundledMapping = null;
+
+  // Custom mapping saved in storage: { mode, mapping, updatedAt } or null
+  let customMapping = null;
+
+  // Mapping the analysis actually uses
+  let effectiveMapping = null;
+
+  // Venue currently open in the editor: { categoryKey, venueKey } or null
+  let editingVenue = null;
+
+  // Setup toolbar buttons
+  document.getElementById("import-btn").addEventListener("click", function () {
+    document.getElementById("import-file").click();
+  });
+  document
+    .getElementById("import-file")
+    .addEventListener("change", importMappingFile);
+  document
+    .getElementById("export-effective-btn")
+    .addEventListener("click", function () {
+      downloadMapping(effectiveMapping, "venue-mapping.json");
+    });
+  document
+    .getElementById("export-custom-btn")
+    .addEventListener("click", function () {
+      if (!customMapping) {
+        showStatus("You have no custom changes to export.", "error");
+        return;
+      }
+      downloadMapping(customMapping.mapping, "venue-mapping-custom.json");
+    });
+  document.getElementById("reset-btn").addEventListener("click", resetMapping);
+  document
+    .getElementById("check-btn")
+    .addEventListener("click", checkEffectiveMapping);
+  document.querySelectorAll('input[name="mapping-mode"]').forEach((radio) => {
+    radio.addEventListener("change", function () {
+      changeMappingMode(radio.value);
+    });
+  });
+
+  // Setup editor and category form
+  document
+    .getElementById("editor-save-btn")
+    .addEventListener("click", saveVenueFromEditor);
+  document
+    .getElementById("editor-cancel-btn")
+    .addEventListener("click", closeEditor);
+  document
+    .getElementById("add-category-btn")
+    .addEventListener("click", addCategory);
+
+  loadMappings();
+
+  // Function to load bundled, custom and effective mappings and render them
+  async function loadMappings() {
+    try {
+      bundledMapping = await VenueMappingStore.loadBundledMapping();
+      customMapping = await VenueMappingStore.loadCustomMapping();
+      effectiveMapping = await VenueMappingStore.loadEffectiveMapping();
+    } catch (error) {
+      console.error("❌ Failed to load venue mapping:", error);
+      showStatus(`Failed to load venue mapping: ${error.message}`, "error");
+      return;
+    }
+
+    renderSummary();
+    renderMappingTree();
+  }
+
+  // Function to show the current mapping source and mode
+  function renderSummary() {
+    const summary = document.getElementById("mapping-summary");
+    const mode = customMapping ? customMapping.mode : "merge";
+
+    document.querySelector(
+      `input[name="mapping-mode"][value="${mode}"]`
+    ).checked = true;
+
+    if (!customMapping) {
+      summary.innerHTML = `Using the <strong>bundled mapping</strong> (${countVenues(
+        bundledMapping
+      )} venues). Edit any venue or import a mapping file to customize it.`;
+      return;
+    }
+
+    const updated = new Date(customMapping.updatedAt).toLocaleString();
+    summary.innerHTML =
+      mode === "replace"
+        ? `Using <strong>your own mapping</strong> instead of the bundled one (${countVenues(
+            effectiveMapping
+          )} venues). Last changed ${updated}.`
+        : `Using the bundled mapping <strong>merged with ${countVenues(
+            customMapping.mapping
+          )} custom venues</strong>. Last changed ${updated}.`;
+  }
+
+  // Function to render the category / venue / pattern tree
+  function renderMappingTree() {
+    const tree = document.getElementById("mapping-tree");
+    const openCategories = new Set(
+      Array.from(tree.querySelectorAll("details[open]")).map(
+        (details) => details.dataset.category
+      )
+    );
+    tree.innerHTML = "";
+
+    Object.entries(effectiveMapping.categories || {}).forEach(
+      ([categoryKey, category]) => {
+        const details = document.createElement("details");
+        details.className = "category";
+        details.dataset.category = categoryKey;
+        details.open = openCategories.has(categoryKey);
+
+        const summary = document.createElement("summary");
+        const name = document.createElement("span");
+        name.textContent = category.display_name || categoryKey;
+        const key = document.createElement("span");
+        key.className = "category-key";
+        key.textContent = categoryKey;
+        const count = document.createElement("span");
+        count.className = "category-count";
+        count.textContent = `${
+          Object.keys(category.venues || {}).length
+        } venues`;
+        const addBtn = document.createElement("button");
+        addBtn.className = "btn small";
+        addBtn.textContent = "+ Add venue";
+        addBtn.addEventListener("click", function (event) {
+          event.preventDefault();
+          openEditor(categoryKey, null);
+        });
+
+        summary.appendChild(name);
+        summary.appendChild(key);
+        summary.appendChild(count);
+        summary.appendChild(addBtn);
+        details.appendChild(summary);
+        details.appendChild(createVenueTable(categoryKey, category));
+        tree.appendChild(details);
+      }
+    );
+  }
+
+  // Function to build the venue table of a single category
+  function createVenueTable(categoryKey, category) {
+    const table = document.createElement("table");
+    table.className = "venue-table";
+    table.innerHTML = `
+      <thead>
+        <tr><th>Venue</th><th>Full name</th><th>Type</th><th>Tier</th><th>Patterns</th><th></th></tr>
+      </thead>
+    `;
+    const tbody = document.createElement("tbody");
+
+    Object.entries(category.venues || {}).forEach(([venueKey, venue]) => {
+      const row = document.createElement("tr");
+
+      const nameCell = document.createElement("td");
+      nameCell.textContent = venueKey;
+      const isCustom = isCustomVenue(categoryKey, venueKey);
+      if (isCustom) {
+        const badge = document.createElement("span");
+        badge.className = "badge";
+        badge.textContent = "custom";
+        nameCell.appendChild(badge);
+      }
+
+      const fullNameCell = document.createElement("td");
+      fullNameCell.textContent = venue.full_name || "";
+
+      const typeCell = document.createElement("td");
+      typeCell.textContent = venue.type || "";
+
+      const tierCell = document.createElement("td");
+      tierCell.textContent = venue.tier || "";
+      if (venue.top_venue === true) tierCell.textContent += " ★";
+      if (venue.top_venue === false) tierCell.textContent += " (not top)";
+
+      const patternsCell = document.createElement("td");
+      patternsCell.className = "patterns";
+      (venue.patterns || []).forEach((pattern) => {
+        const line = document.createElement("div");
+        line.textContent = pattern;
+        patternsCell.appendChild(line);
+      });
+      (venue.negative_patterns || []).forEach((pattern) => {
+        const line = document.createElement("div");
+        line.className = "negative";
+        line.textContent = `¬ ${pattern}`;
+        patternsCell.appendChild(line);
+      });
+
+      const actionsCell = document.createElement("td");
+      actionsCell.className = "venue-actions";
+      const editBtn = document.createElement("button");
+      editBtn.className = "btn small";
+      editBtn.textContent = "Edit";
+      editBtn.addEventListener("click", function () {
+        openEditor(categoryKey, venueKey);
+      });
+      actionsCell.appendChild(editBtn);
+
+      // In merge mode bundled venues can only be overridden, not removed
+      const inBundled = isBundledVenue(venueKey);
+      const mode = customMapping ? customMapping.mode : "merge";
+      if (mode === "replace" || isCustom) {
+        const removeBtn = document.createElement("button");
+        removeBtn.className = "btn small danger";
+        removeBtn.textContent =
+          mode === "merge" && inBundled ? "Revert" : "Delete";
+        removeBtn.addEventListener("click", function () {
+          removeVenue(categoryKey, venueKey);
+        });
+        actionsCell.appendChild(removeBtn);
+      }
+
+      row.appendChild(nameCell);
+      row.appendChild(fullNameCell);
+      row.appendChild(typeCell);
+      row.appendChild(tierCell);
+      row.appendChild(patternsCell);
+      row.appendChild(actionsCell);
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(tbody);
+    return table;
+  }
+
+  // Function to open the editor for a new or existing venue
+  function openEditor(categoryKey, venueKey) {
+    editingVenue = venueKey ? { categoryKey, venueKey } : null;
+    const venue = venueKey
+      ? effectiveMapping.categories[categoryKey].venues[venueKey]
+      : { type: "conference", patterns: [] };
+
+    const categorySelect = document.getElementById("editor-category");
+    categorySelect.innerHTML = "";
+    Object.entries(effectiveMapping.categories || {}).forEach(
+      ([key, category]) => {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = category.display_name || key;
+        categorySelect.appendChild(option);
+      }
+    );
+    categorySelect.value = categoryKey;
+
+    document.getElementById("editor-title").textContent = venueKey
+      ? `Edit ${venueKey}`
+      : "Add venue";
+    document.getElementById("editor-key").value = venueKey || "";
+    document.getElementById("editor-full-name").value = venue.full_name || "";
+    document.getElementById("editor-type").value = venue.type || "conference";
+    fillTierOptions(venue.tier);
+    document.getElementById("editor-top").value =
+      typeof venue.top_venue === "boolean" ? String(venue.top_venue) : "";
+    document.getElementById("editor-patterns").value = (
+      venue.patterns || []
+    ).join("\n");
+    document.getElementById("editor-negative-patterns").value = (
+      venue.negative_patterns || []
+    ).join("\n");
+
+    const editor = document.getElementById("venue-editor");
+    editor.style.display = "block";
+    editor.scrollIntoView({ behavior: "smooth" });
+  }
+
+  // Function to offer the tiers of the mapping, keeping unknown ones selectable
+  function fillTierOptions(currentTier) {
+    const tiers = (
+      (effectiveMapping.tiers && effectiveMapping.tiers.order) ||
+      []
+    ).slice();
+    if (currentTier && !tiers.includes(currentTier)) {
+      tiers.push(currentTier);
+    }
+
+    const tierSelect = document.getElementById("editor-tier");
+    tierSelect.innerHTML = "";
+    [["", "Unranked"]]
+      .concat(tiers.map((tier) => [tier, tier]))
+      .forEach(([value, label]) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        tierSelect.appendChild(option);
+      });
+    tierSelect.value = currentTier || "";
+  }
+
+  function closeEditor() {
+    editingVenue = null;
+    document.getElementById("venue-editor").style.display = "none";
+  }
+
+  // Function to save the venue in the editor into the custom mapping
+  async function saveVenueFromEditor() {
+    const categoryKey = document.getElementById("editor-category").value;
+    const venueKey = document.getElementById("editor-key").value.trim();
+    const patterns = splitLines(
+      document.getElementById("editor-patterns").value
+    );
+    const negativePatterns = splitLines(
+      document.getElementById("editor-negative-patterns").value
+    );
+
+    if (!venueKey) {
+      showStatus("Please enter a venue name.", "error");
+      return;
+    }
+    if (patterns.length === 0) {
+      showStatus("Please enter at least one pattern.", "error");
+      return;
+    }
+
+    const venue = {
+      full_name: document.getElementById("editor-full-name").value.trim(),
+      type: document.getElementById("editor-type").value,
+      patterns: patterns,
+    };
+    if (negativePatterns.length > 0) {
+      venue.negative_patterns = negativePatterns;
+    }
+
+    const tier = document.getElementById("editor-tier").value;
+    if (tier) {
+      venue.tier = tier;
+    }
+    const topVenue = document.getElementById("editor-top").value;
+    if (topVenue) {
+      venue.top_venue = topVenue === "true";
+    }
+
+    const working = getWorkingMapping();
+
+    // Renaming or moving a venue drops the old entry from the custom mapping
+    if (editingVenue) {
+      deleteVenue(working, editingVenue.categoryKey, editingVenue.venueKey);
+    }
+
+    if (!working.categories[categoryKey]) {
+      working.categories[categoryKey] = {
+        display_name: effectiveMapping.categories[categoryKey].display_name,
+        venues: {},
+      };
+    }
+    working.categories[categoryKey].venues =
+      working.categories[categoryKey].venues || {};
+    working.categories[categoryKey].venues[venueKey] = venue;
+
+    if (await persistWorkingMapping(working)) {
+      closeEditor();
+      showStatus(`Saved ${venueKey}.`, "success");
+    }
+  }
+
+  // Function to delete or revert a venue
+  async function removeVenue(categoryKey, venueKey) {
+    const working = getWorkingMapping();
+    deleteVenue(working, categoryKey, venueKey);
+    if (await persistWorkingMapping(working)) {
+      showStatus(`Removed your version of ${venueKey}.`, "success");
+    }
+  }
+
+  // Function to add an empty category
+  async function addCategory() {
+    const keyInput = document.getElementById("new-category-key");
+    const nameInput = document.getElementById("new-category-name");
+    const categoryKey = keyInput.value
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_");
+
+    if (!categoryKey) {
+      showStatus("Please enter a category key.", "error");
+      return;
+    }
+    if (effectiveMapping.categories[categoryKey]) {
+      showStatus(`Category ${categoryKey} already exists.`, "error");
+      return;
+    }
+
+    const working = getWorkingMapping();
+    working.categories[categoryKey] = {
+      display_name: nameInput.value.trim() || categoryKey,
+      venues: {},
+    };
+
+    if (await persistWorkingMapping(working)) {
+      keyInput.value = "";
+      nameInput.value = "";
+      showStatus(`Added category ${categoryKey}.`, "success");
+    }
+  }
+
+  // Function to import a mapping file picked by the user
+  function importMappingFile(event) {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async function () {
+      let mapping;
+      try {
+        mapping = JSON.parse(reader.result);
+      } catch (error) {
+        showStatus(`${file.name} is not valid JSON: ${error.message}`, "error");
+        return;
+      }
+
+      if (!VenueMappingStore.hasCategories(mapping)) {
+        showStatus(
+          `${file.name} has no "categories" object and cannot be used as a venue mapping.`,
+          "error"
+        );
+        return;
+      }
+
+      const mode = getSelectedMode();
+      const validation = validateResultingMapping(mapping, mode);
+      if (!validation.valid) {
+        showStatus(
+          `${file.name} was not imported:\n${MappingValidator.formatIssues(
+            validation
+          )}`,
+          "error"
+        );
+        return;
+      }
+
+      await VenueMappingStore.saveCustomMapping(mapping, mode);
+      await loadMappings();
+      showStatus(
+        `Imported ${countVenues(mapping)} venues from ${file.name} (${
+          mode === "replace" ? "replacing" : "merged with"
+        } the bundled mapping).${formatWarnings(validation)}`,
+        "success"
+      );
+    };
+    reader.readAsText(file);
+  }
+
+  // Function to switch between merging with and replacing the bundled mapping
+  async function changeMappingMode(mode) {
+    if (!customMapping) {
+      // Replacing needs a complete mapping to start from
+      if (mode === "replace") {
+        await VenueMappingStore.saveCustomMapping(bundledMapping, "replace");
+      }
+    } else if (mode === "replace" && customMapping.mode === "merge") {
+      await VenueMappingStore.saveCustomMapping(effectiveMapping, "replace");
+    } else {
+      await VenueMappingStore.saveCustomMapping(customMapping.mapping, mode);
+    }
+
+    await loadMappings();
+    showStatus(
+      mode === "replace"
+        ? "Your mapping now replaces the bundled one."
+        : "Your venues are now merged with the bundled mapping.",
+      "success"
+    );
+  }
+
+  async function resetMapping() {
+    if (!confirm("Discard all custom venues and use the bundled mapping?")) {
+      return;
+    }
+    await VenueMappingStore.clearCustomMapping();
+    closeEditor();
+    await loadMappings();
+    showStatus("Reset to the bundled mapping.", "success");
+  }
+
+  // Function to get an editable copy of the custom mapping
+  function getWorkingMapping() {
+    const working =
+      customMapping && customMapping.mapping
+        ? JSON.parse(JSON.stringify(customMapping.mapping))
+        : {};
+    // Mappings saved before imports were checked may lack categories
+    if (!VenueMappingStore.hasCategories(working)) working.categories = {};
+    return working;
+  }
+
+  // Function to save the custom mapping unless it would break the analysis
+  // Returns false when validation failed
+  async function persistWorkingMapping(working) {
+    const mode = getSelectedMode();
+    const validation = validateResultingMapping(working, mode);
+    if (!validation.valid) {
+      showStatus(
+        `Not saved:\n${MappingValidator.formatIssues(validation)}`,
+        "error"
+      );
+      return false;
+    }
+
+    await VenueMappingStore.saveCustomMapping(working, mode);
+    await loadMappings();
+    return true;
+  }
+
+  // Function to validate the mapping the analysis would end up using
+  function validateResultingMapping(mapping, mode) {
+    const resulting =
+      mode === "replace"
+        ? mapping
+        : VenueMappingStore.mergeMappings(bundledMapping, mapping);
+    return MappingValidator.validateMapping(resulting);
+  }
+
+  // Function to report problems in the mapping currently in use
+  function checkEffectiveMapping() {
+    const validation = MappingValidator.validateMapping(effectiveMapping);
+    if (validation.errors.length === 0 && validation.warnings.length === 0) {
+      showStatus(
+        `No problems found in ${validation.venueCount} venues.`,
+        "success"
+      );
+      return;
+    }
+
+    showStatus(
+      `${validation.errors.length} errors, ${
+        validation.warnings.length
+      } warnings:\n${MappingValidator.formatIssues(validation)}`,
+      validation.valid ? "success" : "error"
+    );
+  }
+
+  function formatWarnings(validation) {
+    return validation.warnings.length > 0
+      ? `\n${
+          validation.warnings.length
+        } warnings:\n${MappingValidator.formatIssues({
+          errors: [],
+          warnings: validation.warnings,
+        })}`
+      : "";
+  }
+
+  function deleteVenue(mapping, categoryKey, venueKey) {
+    const category = mapping.categories[categoryKey];
+    if (category && category.venues) {
+      delete category.venues[venueKey];
+    }
+  }
+
+  function isCustomVenue(categoryKey, venueKey) {
+    if (!customMapping) return false;
+    if (customMapping.mode === "replace") return !isBundledVenue(venueKey);
+    if (!VenueMappingStore.hasCategories(customMapping.mapping)) return false;
+    const category = customMapping.mapping.categories[categoryKey];
+    return Boolean(category && category.venues && category.venues[venueKey]);
+  }
+
+  function isBundledVenue(venueKey) {
+    return Object.values(bundledMapping.categories || {}).some(
+      (category) => category.venues && category.venues[venueKey]
+    );
+  }
+
+  function getSelectedMode() {
+    return document.querySelector('input[name="mapping-mode"]:checked').value;
+  }
+
+  function countVenues(mapping) {
+    return Object.values((mapping && mapping.categories) || {}).reduce(
+      (sum, category) => sum + Object.keys(category.venues || {}).length,
+      0
+    );
+  }
+
+  function splitLines(text) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0);
+  }
+
+  function downloadMapping(mapping, fileName) {
+    AnalysisExport.downloadFile(
+      JSON.stringify(mapping, null, 2) + "\n",
+      fileName,
+      "application/json"
+    );
+  }
+
+  function showStatus(message, type) {
+    const status = document.getElementById("status");
+    status.textContent = message;
+    status.className = `status ${type}`;
+  }
+});
@@ -74,6 +74,32 @@ document.addEventListener("DOMContentLoaded", function () {
     "scholar.google.com.vn",
   ];
 
+  // Batch analysis works from any page, so its link is always active
+  document
+    .getElementById("batch-link")
+    .addEventListener("click", function (event) {
+      event.preventDefault();
+      chrome.tabs.create({ url: chrome.runtime.getURL("batch.html") });
+    });
+
+  // The content script watches this setting and draws or removes its panel
+  const inPageToggle = document.getElementById("in-page-toggle");
+  chrome.storage.local.get("inPageResults", function (stored) {
+    inPageToggle.checked = Boolean(stored.inPageResults);
+  });
+  inPageToggle.addEventListener("change", function () {
+    chrome.storage.local.set({ inPageResults: inPageToggle.checked });
+  });
+
+  // Read by the content script at the start of every analysis
+  const enrichToggle = document.getElementById("enrich-toggle");
+  chrome.storage.local.get("enrichRows", function (stored) {
+    enrichToggle.checked = Boolean(stored.enrichRows);
+  });
+  enrichToggle.addEventListener("change", function () {
+    chrome.storage.local.set({ enrichRows: enrichToggle.checked });
+  });
+
   // Check if we're on a Google Scholar profile page
   chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
     const url = tabs[0].url;
@@ -108,7 +134,7 @@ document.addEventListener("DOMContentLoaded", function () {
     }
 
     // Check if we're on an individual article view
-    if (urlObj.search.includes("view_op=view_citation")) {
+    if (urlObj.searchParams.get("view_op") === "view_citation") {
       showNotOnProfileMessage(`
         <p><strong>You're viewing an individual article.</strong></p>
         <p>Please go back to the researcher's main profile page to analyze all publications.</p>
@@ -122,11 +148,13 @@ document.addEventListener("DOMContentLoaded", function () {
         const goBackBtn = document.getElementById("go-back-btn");
         if (goBackBtn) {
           goBackBtn.addEventListener("click", function () {
-            // Navigate back to the main profile page
-            const profileUrl = url
-              .split("&view_op=view_citation")[0]
-              .split("?view_op=view_citation")[0];
-            chrome.tabs.update(tabs[0].id, { url: profileUrl });
+            // Navigate back to the main profile page, keeping the language
+            const profileUrl = new URL("/citations", urlObj.origin);
+            ["user", "hl"].forEach((name) => {
+              const value = urlObj.searchParams.get(name);
+              if (value) profileUrl.searchParams.set(name, value);
+            });
+            chrome.tabs.update(tabs[0].id, { url: profileUrl.toString() });
             window.close();
           });
         }
@@ -135,7 +163,7 @@ document.addEventListener("DOMContentLoaded", function () {
     }
 
     // Check if we're on a valid profile page (should have user parameter)
-    if (!urlObj.search.includes("user=")) {
+    if (!urlObj.searchParams.get("user")) {
       showNotOnProfileMessage(`
         <p><strong>Please navigate to a Scholar profile page.</strong></p>
         <p>This extension analyzes individual researcher profiles.</p>
@@ -148,13 +176,120 @@ document.addEventListener("DOMContentLoaded", function () {
     document.getElementById("not-on-profile").style.display = "none";
     document.getElementById("profile-content").style.display = "block";
 
+    // Offer earlier analyses of this profile without re-scraping
+    currentProfileId = urlObj.searchParams.get("user");
+    displayHistory();
+
+    // Show a running or finished analysis of this tab
+    currentTabId = tabs[0].id;
+    currentTabUrl = url;
+    connectToAnalysisJob();
+
+    document
+      .getElementById("history-compare-btn")
+      .addEventListener("click", compareSelectedSnapshots);
+
+    // Setup link to the side-by-side comparison of pinned researchers
+    document
+      .getElementById("compare-profiles-link")
+      .addEventListener("click", function (event) {
+        event.preventDefault();
+        chrome.tabs.create({ url: chrome.runtime.getURL("compare.html") });
+      });
+
     // Setup analyze button
     const analyzeBtn = document.getElementById("analyze-btn");
     analyzeBtn.addEventListener("click", analyzeVenues);
 
+    // Setup cancel button of the progress panel
+    document
+      .getElementById("cancel-btn")
+      .addEventListener("click", cancelAnalysis);
+
     // Setup show more button
     const showMoreBtn = document.getElementById("show-more-btn");
     showMoreBtn.addEventListener("click", showAllVenues);
+
+    // Setup export buttons
+    document.querySelectorAll(".export-btn").forEach((button) => {
+      button.addEventListener("click", function () {
+        exportAnalysis(button.dataset.export);
+      });
+    });
+
+    // Setup the printable report
+    document.getElementById("report-btn").addEventListener("click", openReport);
+
+    // Setup chart download buttons
+    document.querySelectorAll("[data-chart]").forEach((button) => {
+      button.addEventListener("click", function () {
+        downloadChart(button.dataset.chart, button.dataset.format);
+      });
+    });
+
+    // Setup link to the venue mapping editor
+    document
+      .getElementById("options-link")
+      .addEventListener("click", function (event) {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+      });
+
+    // Setup unmatched venue review toggle
+    const reviewToggleBtn = document.getElementById("review-toggle-btn");
+    reviewToggleBtn.addEventListener("click", function () {
+      const reviewPanel = document.getElementById("review-panel");
+      reviewPanel.style.display =
+        reviewPanel.style.display === "none" ? "block" : "none";
+    });
+
+    // Setup tier filter
+    document
+      .getElementById("tier-filter")
+      .addEventListener("change", function () {
+        tierFilter = this.value;
+        refreshVenueTable();
+        displayVenuePartners();
+      });
+
+    // Setup collaborator show more button
+    document
+      .getElementById("collaborator-more-btn")
+      .addEventListener("click", function () {
+        showingAllCollaborators = !showingAllCollaborators;
+        displayCollaborators();
+      });
+
+    // Setup scope filters; every change recomputes the results instantly
+    [
+      "scope-from-year",
+      "scope-to-year",
+      "scope-last-years",
+      "scope-type",
+      "scope-min-citations",
+      "scope-author-role",
+    ].forEach((id) => {
+      document.getElementById(id).addEventListener("input", updateScopeFilters);
+    });
+    document
+      .getElementById("raw-counts-toggle")
+      .addEventListener("change", function () {
+        showRawCounts = this.checked;
+        displayScopedResults();
+      });
+    document
+      .getElementById("scope-reset-btn")
+      .addEventListener("click", function () {
+        resetScopeControls();
+        updateScopeFilters();
+      });
+
+    // Setup sortable venue table headers
+    document.querySelectorAll("#venue-table th[data-sort]").forEach((th) => {
+      th.addEventListener("click", function () {
+        sortVenueTable(th.dataset.sort);
+      });
+    });
   });
 
   function showNotOnProfileMessage(html) {
@@ -163,109 +298,238 @@ document.addEventListener("DOMContentLoaded", function () {
     document.getElementById("profile-content").style.display = "none";
   }
 
+  // Keep the latest analysis result for exports
+  let currentAnalysis = null;
+
+  // Scholar user id of the profile in the active tab, for the history
+  let currentProfileId = null;
+
+  // Effective venue mapping, used to offer canonical venues during review
+  let effectiveMapping = null;
+
   // Store venue data globally for show more/less functionality
   let allVenueData = [];
+  let showingAllVenues = false;
+
+  // Venues whose paper list is currently expanded
+  let expandedVenues = new Set();
+
+  // Current sort order of the venue table
+  let venueSort = { key: "count", direction: "desc" };
+
+  // Tier shown in the venue table: "all", "top", "unranked" or a tier name
+  let tierFilter = "all";
+
+  // Scope filters and the analysis recomputed for them
+  let scopeFilters = null;
+  let scopedAnalysis = null;
+
+  // Count preprints and their published versions separately
+  let showRawCounts = false;
+
+  // Collaborators of the scoped publications
+  let coauthorData = null;
+  let showingAllCollaborators = false;
+
+  // SVG markup of the charts on screen, downloaded as shown
+  let chartSvgs = {};
+
+  // Storage key of the analysis on screen, for the report page. Analyses of
+  // profiles without a user id are not kept in the history, so the report
+  // reads a copy saved under REPORT_KEY instead
+  let currentSnapshotKey = null;
+  const REPORT_KEY = "reportAnalysis";
+
+  // Port to the background worker, which runs the analysis of this tab
+  let jobPort = null;
+
+  // Active tab, whose analysis job the popup shows
+  let currentTabId = null;
+  let currentTabUrl = null;
+
+  // Function to connect to the background worker and follow this tab's job
+  // The job keeps running when the popup closes; reopening the popup picks
+  // up its progress or finished result
+  function connectToAnalysisJob() {
+    jobPort = chrome.runtime.connect({ name: "analysis-job" });
+
+    jobPort.onMessage.addListener(function (message) {
+      if (message.tabId !== undefined && message.tabId !== currentTabId) {
+        return;
+      }
+      if (message.type === "progress") {
+        showAnalysisRunning();
+        displayProgress(message.progress);
+      } else if (message.type === "state") {
+        displayAnalysisJob(message.job);
+      }
+    });
+
+    jobPort.postMessage({ action: "watchAnalysis", tabId: currentTabId });
+  }
 
   // Function to analyze venues on the current profile
   function analyzeVenues() {
-    // Show initial loading state
-    const loadingDiv = document.getElementById("loading");
-    loadingDiv.innerHTML = `
-      <p>🔄 Initializing analysis...</p>
-      <p><small>Preparing to analyze publication venues</small></p>
-    `;
-    loadingDiv.style.display = "block";
+    showAnalysisRunning();
+    displayProgress(null);
+    jobPort.postMessage({
+      action: "startAnalysis",
+      tabId: currentTabId,
+      url: currentTabUrl,
+    });
+  }
+
+  // Function to show the progress panel and disable the analyze button
+  function showAnalysisRunning() {
+    document.getElementById("loading").style.display = "block";
     document.getElementById("results").style.display = "none";
     document.getElementById("error").style.display = "none";
 
-    // Disable analyze button during processing
     const analyzeBtn = document.getElementById("analyze-btn");
     analyzeBtn.disabled = true;
     analyzeBtn.textContent = "Analyzing...";
+  }
 
-    // First, inject the content script dynamically to ensure it's available
-    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-      // Execute content script in the current tab
-      chrome.scripting.executeScript(
-        {
-          target: { tabId: tabs[0].id },
-          files: ["content.js"],
-        },
-        function () {
-          if (chrome.runtime.lastError) {
-            console.error(
-              "Error injecting content script:",
-              chrome.runtime.lastError
-            );
-            showError(
-              "Error loading extension. Please refresh the page and try again."
-            );
-            return;
-          }
-
-          // Show step 1 (loading publications)
-          loadingDiv.innerHTML = `
-            <p>🔄 Step 1: Loading all publications...</p>
-          `;
-
-          // After a brief moment, update to step 2
-          setTimeout(() => {
-            // Update to step 2
-            loadingDiv.innerHTML = `
-              <p>🔄 Step 2: Analyzing publication venues...</p>
-              <p><small>Processing publications and normalizing venue names</small></p>
-            `;
-
-            // After content script is executed, send message to it
-            chrome.tabs.sendMessage(
-              tabs[0].id,
-              { action: "analyzeVenues" },
-              function (response) {
-                // Re-enable analyze button
-                analyzeBtn.disabled = false;
-                analyzeBtn.textContent = "🔍 Analyze Publication Venues";
-
-                // Hide loading indicator
-                loadingDiv.style.display = "none";
-
-                if (chrome.runtime.lastError) {
-                  console.error("Runtime error:", chrome.runtime.lastError);
-                  showError(
-                    "Error communicating with the page. Please refresh and try again."
-                  );
-                  return;
-                }
-
-                // Handle the response with enhanced structure
-                if (response && response.success && response.venues) {
-                  displayResults(response);
-                } else if (response && response.error) {
-                  showError(response.error);
-                } else {
-                  showError(
-                    'Error analyzing profile. Please ensure you are on the "ARTICLES" tab of a Google Scholar profile page with publications visible.'
-                  );
-                }
-              }
-            );
-          }, 1000);
+  // Function to render the state of this tab's job
+  function displayAnalysisJob(job) {
+    // Jobs for a page the tab has since left are stale
+    if (!job || job.tabId !== currentTabId || job.url !== currentTabUrl) {
+      return;
+    }
+
+    if (job.status === "running") {
+      showAnalysisRunning();
+      displayProgress(job.progress);
+      return;
+    }
+
+    finishAnalysis();
+    jobPort.postMessage({ action: "acknowledgeAnalysis", tabId: job.tabId });
+
+    if (job.status === "done") {
+      loadJobResult(job);
+    } else if (job.status === "cancelled") {
+      console.log("⏹️ Analysis cancelled");
+    } else {
+      showError(job.error);
+    }
+  }
+
+  // Function to show the result of a finished job from the history
+  function loadJobResult(job) {
+    const resultPromise = job.snapshotKey
+      ? AnalysisHistory.loadSnapshot(job.snapshotKey)
+      : Promise.resolve(job.result);
+
+    resultPromise
+      .then((analysisData) => {
+        if (!analysisData || !analysisData.venues) {
+          showError(
+            'Error analyzing profile. Please ensure you are on the "ARTICLES" tab of a Google Scholar profile page with publications visible.'
+          );
+          return;
         }
-      );
-    });
+        // A fresh result is not a "saved analysis" even though it is stored
+        currentSnapshotKey = job.snapshotKey || null;
+        displayResults(Object.assign({}, analysisData, { savedAt: null }));
+        displayHistory();
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load the analysis result:", error);
+        showError("Could not load the analysis result.");
+      });
+  }
+
+  // Function to ask the background worker to stop the running analysis
+  function cancelAnalysis() {
+    jobPort.postMessage({ action: "cancelAnalysis", tabId: currentTabId });
+
+    const cancelBtn = document.getElementById("cancel-btn");
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = "Cancelling...";
+  }
+
+  // Function to hide the progress panel and restore the analyze button
+  function finishAnalysis() {
+    document.getElementById("loading").style.display = "none";
+    const analyzeBtn = document.getElementById("analyze-btn");
+    analyzeBtn.disabled = false;
+    analyzeBtn.textContent = "🔍 Analyze Publication Venues";
+  }
+
+  // Function to render a progress update from the content script
+  // Pagination has no known end, so the bar only fills while normalizing
+  function displayProgress(progress) {
+    const progressBar = document.getElementById("progress-bar");
+    const progressText = document.getElementById("progress-text");
+    const progressDetail = document.getElementById("progress-detail");
+    const cancelBtn = document.getElementById("cancel-btn");
+
+    if (!progress) {
+      progressText.textContent = "🔄 Initializing analysis...";
+      progressDetail.textContent = "Preparing to analyze publication venues";
+      progressBar.className = "progress-bar indeterminate";
+      progressBar.style.width = "";
+      cancelBtn.disabled = false;
+      cancelBtn.textContent = "Cancel";
+      return;
+    }
+
+    const elapsed = `${(progress.elapsedMs / 1000).toFixed(1)}s`;
+    if (progress.phase === "loading") {
+      progressText.textContent = "🔄 Step 1: Loading all publications...";
+      progressDetail.textContent = `${progress.rowsFound} publications found · ${progress.pagesLoaded} more pages loaded · ${elapsed}`;
+      progressBar.className = "progress-bar indeterminate";
+      progressBar.style.width = "";
+    } else if (progress.phase === "enriching") {
+      const share =
+        progress.rowsToEnrich > 0
+          ? progress.rowsEnriched / progress.rowsToEnrich
+          : 0;
+      progressText.textContent =
+        "🔄 Step 3: Reading citation pages of incomplete rows...";
+      progressDetail.textContent = `${progress.rowsEnriched} of ${progress.rowsToEnrich} rows checked · ${elapsed}`;
+      progressBar.className = "progress-bar";
+      progressBar.style.width = `${Math.round(share * 100)}%`;
+    } else {
+      const share =
+        progress.totalRows > 0
+          ? progress.rowsNormalized / progress.totalRows
+          : 0;
+      progressText.textContent = "🔄 Step 2: Analyzing publication venues...";
+      progressDetail.textContent = `${progress.rowsNormalized} of ${progress.totalRows} publications normalized · ${elapsed}`;
+      progressBar.className = "progress-bar";
+      progressBar.style.width = `${Math.round(share * 100)}%`;
+    }
   }
 
   // Function to show error messages
   function showError(message) {
     const errorDiv = document.getElementById("error");
-    errorDiv.innerHTML = `
-      <div>${message}</div>
-      <div style="margin-top: 10px; font-size: 12px; color: #666;">
-        <strong>Troubleshooting tips:</strong><br>
-        • Make sure you're on the "ARTICLES" tab of a Scholar profile<br>
-        • Refresh the page and try again<br>
-        • Check that publications are visible on the page
-      </div>
-    `;
+    errorDiv.innerHTML = "";
+
+    // Job errors carry text from the page and the network
+    const messageDiv = document.createElement("div");
+    messageDiv.textContent = message;
+
+    const tips = document.createElement("div");
+    tips.style.marginTop = "10px";
+    tips.style.fontSize = "12px";
+    tips.style.color = "#666";
+    const tipsTitle = document.createElement("strong");
+    tipsTitle.textContent = "Troubleshooting tips:";
+    tips.appendChild(tipsTitle);
+    [
+      'Make sure you\'re on the "ARTICLES" tab of a Scholar profile',
+      "Refresh the page and try again",
+      "Check that publications are visible on the page",
+    ].forEach((tip) => {
+      tips.appendChild(document.createElement("br"));
+      tips.appendChild(document.createTextNode(`• ${tip}`));
+    });
+
+    errorDiv.appendChild(messageDiv);
+    errorDiv.appendChild(tips);
     errorDiv.style.display = "block";
 
     // Re-enable analyze button if it was disabled
@@ -278,35 +542,107 @@ document.addEventListener("DOMContentLoaded", function () {
   function displayResults(analysisData) {
     console.log(`📊 Processing analysis data:`, analysisData);
 
-    // Extract data from the enhanced structure
-    const venueData = analysisData.venues || [];
-    const totalFound = analysisData.totalFound || 0;
-    const totalProcessed = analysisData.totalProcessed || 0;
-    const totalSkipped = analysisData.totalSkipped || 0;
-
-    console.log(
-      `📈 Display data - Found: ${totalFound}, Processed: ${totalProcessed}, Skipped: ${totalSkipped}, Unique: ${venueData.length}`
-    );
-
-    if (!venueData || venueData.length === 0) {
+    if (!analysisData.venues || analysisData.venues.length === 0) {
       showError(
         "No publication venues found on this profile. Make sure you're on the ARTICLES tab with visible publications."
       );
       return;
     }
 
-    const uniqueVenues = venueData.length;
+    currentAnalysis = analysisData;
 
-    // Store all venue data for show more/less functionality
-    allVenueData = venueData;
+    // A new analysis starts unfiltered; saved analyses from before per-paper
+    // data was stored cannot be rescoped
+    scopeFilters = Object.assign({}, PublicationFilters.DEFAULT_FILTERS);
+    tierFilter = "all";
+    resetScopeControls();
+
+    // The raw counts toggle only matters when preprints were merged
+    showRawCounts = false;
+    document.getElementById("raw-counts-toggle").checked = false;
+    document.getElementById("raw-counts-option").style.display =
+      (analysisData.duplicates || []).length > 0 ? "block" : "none";
+    document.getElementById("scope-panel").style.display =
+      (analysisData.publications || []).length > 0 ? "block" : "none";
 
     // Show results container
     document.getElementById("results").style.display = "block";
 
+    // Saved analyses carry the time they were taken
+    const snapshotNote = document.getElementById("snapshot-note");
+    if (analysisData.savedAt) {
+      snapshotNote.textContent = `🕘 Saved analysis from ${formatSnapshotDate(
+        analysisData.savedAt
+      )}. Analyze again for fresh results.`;
+      snapshotNote.style.display = "block";
+    } else {
+      snapshotNote.style.display = "none";
+    }
+
+    // Pagination that stopped early or disagrees with Scholar's own count
+    const warningsDiv = document.getElementById("analysis-warnings");
+    const warnings = analysisData.warnings || [];
+    warningsDiv.textContent = warnings.map((text) => `⚠️ ${text}`).join(" ");
+    warningsDiv.style.display = warnings.length > 0 ? "block" : "none";
+
+    displayScopedResults();
+
+    // List venues that fell through to the fallback normalization
+    displayReviewQueue(analysisData.publications || []);
+
+    // Add a clean note about the analysis
+    const note = document.createElement("div");
+    note.className = "analysis-note";
+    note.style.marginTop = "15px";
+    note.style.fontSize = "12px";
+    note.style.color = "#666";
+    note.innerHTML = `
+      <p><strong>Note:</strong> Venue names are automatically normalized and grouped by standard abbreviations (e.g., "Proc. CVPR 2021" → "CVPR").</p>
+    `;
+
+    const resultsDiv = document.getElementById("results");
+    // Remove any existing note first
+    const existingNote = resultsDiv.querySelector(".analysis-note");
+    if (existingNote) {
+      existingNote.remove();
+    }
+    resultsDiv.appendChild(note);
+  }
+
+  // Function to show the summary, venue table, research areas and years for
+  // the publications the scope filters keep
+  function displayScopedResults() {
+    scopedAnalysis = scopeAnalysis(currentAnalysis, scopeFilters);
+    const filtered = PublicationFilters.isActive(scopeFilters);
+
+    const venueData = scopedAnalysis.venues || [];
+    const totalFound = scopedAnalysis.totalFound || 0;
+    const totalProcessed = scopedAnalysis.totalProcessed || 0;
+    const totalSkipped = scopedAnalysis.totalSkipped || 0;
+
+    console.log(
+      `📈 Display data - Found: ${totalFound}, Processed: ${totalProcessed}, Skipped: ${totalSkipped}, Unique: ${venueData.length}`
+    );
+
+    const uniqueVenues = venueData.length;
+
+    // Store all venue data for show more/less functionality
+    allVenueData = venueData.slice();
+    showingAllVenues = false;
+    expandedVenues = new Set();
+    venueSort = { key: "count", direction: "desc" };
+    setupTierFilter(scopedAnalysis.tiers || []);
+
     // Show detailed publication analysis with proper breakdown
     let countHtml = `<strong>📊 Analysis Complete:</strong><br>`;
 
-    if (totalFound > 0) {
+    if (filtered) {
+      countHtml += `Publications in scope: <strong>${totalFound}</strong> of ${currentAnalysis.totalFound}<br>`;
+
+      if (totalProcessed > 0) {
+        countHtml += `In scope with venue info: <strong>${totalProcessed}</strong><br>`;
+      }
+    } else if (totalFound > 0) {
       countHtml += `Total publications found: <strong>${totalFound}</strong><br>`;
 
       if (totalProcessed > 0) {
@@ -316,6 +652,10 @@ document.addEventListener("DOMContentLoaded", function () {
       if (totalSkipped > 0) {
         countHtml += `Skipped (no venue info): <strong>${totalSkipped}</strong><br>`;
       }
+
+      if (scopedAnalysis.totalEnriched > 0) {
+        countHtml += `Completed from citation pages: <strong>${scopedAnalysis.totalEnriched}</strong><br>`;
+      }
     } else {
       // Fallback for legacy format
       const totalFromVenues = venueData.reduce(
@@ -327,50 +667,558 @@ document.addEventListener("DOMContentLoaded", function () {
 
     countHtml += `Unique venues identified: <strong>${uniqueVenues}</strong>`;
 
+    const duplicateCount = (currentAnalysis.duplicates || []).length;
+    if (duplicateCount > 0 && !showRawCounts) {
+      countHtml += `<br>Preprints merged with their published version: <strong>${duplicateCount}</strong>`;
+    }
+
+    const totalCitations = venueData.reduce(
+      (sum, item) => sum + (item.totalCitations || 0),
+      0
+    );
+    if (totalCitations > 0) {
+      countHtml += `<br>Citations across venues: <strong>${totalCitations.toLocaleString()}</strong>`;
+    }
+
+    // One-line research profile, e.g. "60% Computer Vision, 30% Machine Learning"
+    const areaSummary = (scopedAnalysis.categories || [])
+      .filter((item) => item.category && item.share >= 0.1)
+      .slice(0, 3)
+      .map((item) => `${Math.round(item.share * 100)}% ${item.name}`)
+      .join(", ");
+    if (areaSummary) {
+      countHtml += `<br>Research profile: <strong>${areaSummary}</strong>`;
+    }
+
+    const topTier = scopedAnalysis.topTier;
+    if (topTier && topTier.total > 0) {
+      countHtml += `<br>Top-tier papers: <strong>${topTier.total}</strong> (${topTier.lastFiveYears} in the last 5 years)`;
+    }
+
     document.getElementById("publication-count").innerHTML = countHtml;
+    document.getElementById("scope-summary").textContent = filtered
+      ? `Showing ${PublicationFilters.describeFilters(scopeFilters)}.`
+      : "";
 
     // Initially display top 10 venues
-    displayVenueTable(venueData.slice(0, 10));
+    refreshVenueTable();
 
-    // Show "Show more" button if there are more than 10 venues
-    const showMoreBtn = document.getElementById("show-more-btn");
-    if (venueData.length > 10) {
-      showMoreBtn.textContent = `📈 Show all ${venueData.length} venues`;
-      showMoreBtn.style.display = "block";
-    } else {
-      showMoreBtn.style.display = "none";
+    // Draw the venue, research area and per-year charts
+    displayCharts();
+
+    // Show who the researcher publishes with, overall and per venue
+    const ownerName = currentAnalysis.profile
+      ? currentAnalysis.profile.name
+      : "";
+    coauthorData = CoauthorAnalysis.analyzeCoauthors(
+      scopedAnalysis.publications || [],
+      (name) => PublicationFilters.matchesOwner(name, ownerName)
+    );
+    showingAllCollaborators = false;
+    displayCollaborators();
+
+    // Show how venues are spread over the years
+    displayYearBreakdown(venueData, scopedAnalysis.timeline || []);
+  }
+
+  // Recompute venues, areas, tiers and timeline from the already scraped
+  // publications that pass the filters, without touching the Scholar page.
+  // Preprints paired with a published version are merged unless the raw
+  // counts toggle is on
+  function scopeAnalysis(analysis, filters) {
+    const filtered = PublicationFilters.isActive(filters);
+    const duplicates = analysis.duplicates || [];
+    if (!filtered && duplicates.length === 0) return analysis;
+
+    const allPublications = showRawCounts
+      ? analysis.publications || []
+      : PreprintDedup.mergeDuplicates(analysis.publications || [], duplicates);
+    const publications = PublicationFilters.filterPublications(
+      allPublications,
+      filters,
+      analysis.profile ? analysis.profile.name : ""
+    );
+
+    // Category names and tier order as the full analysis reported them
+    const categoryNames = {};
+    (analysis.venues || []).forEach((item) => {
+      if (item.category) categoryNames[item.category] = item.categoryName;
+    });
+    const tierOrder = (analysis.tiers || [])
+      .map((item) => item.tier)
+      .filter(Boolean);
+
+    const scoped = Object.assign(
+      {},
+      analysis,
+      VenueAggregation.aggregateVenues(publications, {
+        categoryNames,
+        tierOrder,
+      }),
+      { publications: publications }
+    );
+
+    // Unfiltered results keep the row counts Scholar showed
+    if (filtered) {
+      const processed = publications.filter((publication) => publication.venue);
+      Object.assign(scoped, {
+        totalFound: publications.length,
+        totalProcessed: processed.length,
+        totalSkipped: publications.length - processed.length,
+        scope: {
+          filters: Object.assign({}, filters),
+          description: PublicationFilters.describeFilters(filters),
+        },
+      });
     }
+    return scoped;
+  }
 
-    // Add a clean note about the analysis
-    const note = document.createElement("div");
-    note.className = "analysis-note";
-    note.style.marginTop = "15px";
-    note.style.fontSize = "12px";
-    note.style.color = "#666";
-    note.innerHTML = `
-      <p><strong>Note:</strong> Venue names are automatically normalized and grouped by standard abbreviations (e.g., "Proc. CVPR 2021" → "CVPR").</p>
-    `;
+  // Function to read the scope controls into the filters and redisplay
+  function updateScopeFilters() {
+    const numberValue = (id) => {
+      const value = parseInt(document.getElementById(id).value, 10);
+      return isNaN(value) ? null : value;
+    };
 
-    const resultsDiv = document.getElementById("results");
-    // Remove any existing note first
-    const existingNote = resultsDiv.querySelector(".analysis-note");
-    if (existingNote) {
-      existingNote.remove();
+    const lastYears = numberValue("scope-last-years");
+    scopeFilters = {
+      fromYear: lastYears ? null : numberValue("scope-from-year"),
+      toYear: lastYears ? null : numberValue("scope-to-year"),
+      lastYears: lastYears,
+      type: document.getElementById("scope-type").value,
+      minCitations: Math.max(0, numberValue("scope-min-citations") || 0),
+      authorRole: document.getElementById("scope-author-role").value,
+    };
+
+    // "Last N years" replaces the explicit range
+    document.getElementById("scope-from-year").disabled = Boolean(lastYears);
+    document.getElementById("scope-to-year").disabled = Boolean(lastYears);
+
+    displayScopedResults();
+  }
+
+  function resetScopeControls() {
+    document.getElementById("scope-from-year").value = "";
+    document.getElementById("scope-to-year").value = "";
+    document.getElementById("scope-from-year").disabled = false;
+    document.getElementById("scope-to-year").disabled = false;
+    document.getElementById("scope-last-years").value = "";
+    document.getElementById("scope-type").value = "all";
+    document.getElementById("scope-min-citations").value = "0";
+    document.getElementById("scope-author-role").value = "any";
+    document.getElementById("scope-summary").textContent = "";
+  }
+
+  // Function to list saved analyses of the current profile
+  function displayHistory() {
+    if (!currentProfileId) return;
+
+    Promise.all([
+      AnalysisHistory.listSnapshots(currentProfileId),
+      AnalysisHistory.loadPinned(),
+    ])
+      .then(([entries, pinned]) => {
+        const historySection = document.getElementById("history-section");
+        if (entries.length === 0) {
+          historySection.style.display = "none";
+          return;
+        }
+        historySection.style.display = "block";
+
+        const historyList = document.getElementById("history-list");
+        historyList.innerHTML = "";
+
+        const pinnedKeys = new Set(pinned.map((pin) => pin.key));
+
+        entries.forEach((entry) => {
+          const item = document.createElement("div");
+          item.className = "review-item review-controls";
+
+          const description = document.createElement("div");
+          description.style.flex = "1";
+          description.textContent = `${formatSnapshotDate(entry.savedAt)} · ${
+            entry.totalFound
+          } papers · ${entry.uniqueVenues} venues`;
+
+          const openBtn = document.createElement("button");
+          openBtn.className = "export-btn";
+          openBtn.textContent = "Open";
+          openBtn.addEventListener("click", function () {
+            openSnapshot(entry);
+          });
+
+          // One snapshot per researcher can be pinned for the comparison tab
+          const isPinned = pinnedKeys.has(entry.key);
+          const pinBtn = document.createElement("button");
+          pinBtn.className = "export-btn";
+          pinBtn.textContent = isPinned ? "📌 Pinned" : "Pin";
+          pinBtn.title = isPinned
+            ? "Remove from the comparison"
+            : "Add to the comparison of researchers";
+          pinBtn.addEventListener("click", function () {
+            const update = isPinned
+              ? AnalysisHistory.unpinProfile(entry.userId)
+              : AnalysisHistory.pinSnapshot(entry);
+            update.then(displayHistory);
+          });
+
+          const deleteBtn = document.createElement("button");
+          deleteBtn.className = "export-btn";
+          deleteBtn.textContent = "Delete";
+          deleteBtn.addEventListener("click", function () {
+            AnalysisHistory.deleteSnapshot(entry.userId, entry.key).then(
+              displayHistory
+            );
+          });
+
+          item.appendChild(description);
+          item.appendChild(openBtn);
+          item.appendChild(pinBtn);
+          item.appendChild(deleteBtn);
+          historyList.appendChild(item);
+        });
+
+        fillCompareSelects(entries);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load analysis history:", error);
+      });
+  }
+
+  // Function to offer two snapshots to compare, previous vs latest by default
+  function fillCompareSelects(entries) {
+    const compareRow = document.getElementById("history-compare");
+    if (entries.length < 2) {
+      compareRow.style.display = "none";
+      document.getElementById("history-diff").style.display = "none";
+      return;
     }
-    resultsDiv.appendChild(note);
+    compareRow.style.display = "flex";
+
+    ["history-from", "history-to"].forEach((id, selectIndex) => {
+      const select = document.getElementById(id);
+      select.innerHTML = "";
+      entries.forEach((entry) => {
+        const option = document.createElement("option");
+        option.value = entry.key;
+        option.textContent = formatSnapshotDate(entry.savedAt);
+        select.appendChild(option);
+      });
+      select.value = entries[selectIndex === 0 ? 1 : 0].key;
+    });
+  }
+
+  // Function to show a saved analysis instead of re-scraping the profile
+  function openSnapshot(entry) {
+    AnalysisHistory.loadSnapshot(entry.key)
+      .then((snapshot) => {
+        if (!snapshot) {
+          showError("This saved analysis is no longer available.");
+          displayHistory();
+          return;
+        }
+        document.getElementById("error").style.display = "none";
+        currentSnapshotKey = entry.key;
+        displayResults(snapshot);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to open saved analysis:", error);
+        showError("Could not open the saved analysis.");
+      });
+  }
+
+  // Function to diff the two snapshots picked in the history section
+  function compareSelectedSnapshots() {
+    const fromKey = document.getElementById("history-from").value;
+    const toKey = document.getElementById("history-to").value;
+    if (!fromKey || !toKey || fromKey === toKey) return;
+
+    Promise.all([
+      AnalysisHistory.loadSnapshot(fromKey),
+      AnalysisHistory.loadSnapshot(toKey),
+    ])
+      .then(([first, second]) => {
+        if (!first || !second) {
+          showError("One of the saved analyses is no longer available.");
+          displayHistory();
+          return;
+        }
+        // Always diff from the older snapshot to the newer one
+        const [older, newer] =
+          first.savedAt <= second.savedAt ? [first, second] : [second, first];
+        displaySnapshotDiff(
+          AnalysisHistory.diffSnapshots(older, newer),
+          older,
+          newer
+        );
+      })
+      .catch((error) => {
+        console.error("❌ Failed to compare saved analyses:", error);
+      });
+  }
+
+  // Function to render new papers, venue changes and citation growth
+  function displaySnapshotDiff(diff, older, newer) {
+    const diffDiv = document.getElementById("history-diff");
+    diffDiv.innerHTML = "";
+
+    const summary = document.createElement("div");
+    summary.className = "diff-summary";
+    const sign = (value) => (value > 0 ? `+${value}` : String(value));
+    summary.textContent = `${formatSnapshotDate(
+      older.savedAt
+    )} → ${formatSnapshotDate(newer.savedAt)}: ${sign(
+      diff.newPapers.length
+    )} papers, ${sign(diff.venuesGained.length)} venues, ${sign(
+      diff.citations.delta
+    )} citations (${diff.citations.before.toLocaleString()} → ${diff.citations.after.toLocaleString()})`;
+    diffDiv.appendChild(summary);
+
+    appendDiffList(
+      diffDiv,
+      "🆕 New papers",
+      diff.newPapers.map(
+        (paper) =>
+          `${paper.title || "(untitled)"} · ${paper.venue || "no venue"}${
+            paper.year ? ` · ${paper.year}` : ""
+          }`
+      )
+    );
+    appendDiffList(
+      diffDiv,
+      "➕ Venues gained",
+      diff.venuesGained.map((item) => `${item.venue} (${item.count})`)
+    );
+    appendDiffList(
+      diffDiv,
+      "➖ Venues no longer listed",
+      diff.venuesLost.map((item) => `${item.venue} (${item.count})`)
+    );
+    appendDiffList(
+      diffDiv,
+      "📊 Venue count changes",
+      diff.venueChanges.map(
+        (item) => `${item.venue}: ${item.before} → ${item.after}`
+      )
+    );
+    appendDiffList(
+      diffDiv,
+      "📈 Citation growth",
+      diff.citationGrowth
+        .filter((item) => item.delta > 0)
+        .slice(0, 10)
+        .map((item) => `${sign(item.delta)} ${item.title}`)
+    );
+
+    if (diffDiv.children.length === 1) {
+      const empty = document.createElement("div");
+      empty.className = "review-empty";
+      empty.textContent = "No changes between these analyses.";
+      diffDiv.appendChild(empty);
+    }
+    diffDiv.style.display = "block";
+  }
+
+  // Function to add a titled list to the diff, skipping empty lists
+  function appendDiffList(container, title, lines) {
+    if (lines.length === 0) return;
+
+    const heading = document.createElement("h3");
+    heading.textContent = `${title} (${lines.length})`;
+
+    const list = document.createElement("ul");
+    list.className = "diff-list";
+    lines.forEach((line) => {
+      const listItem = document.createElement("li");
+      listItem.textContent = line;
+      list.appendChild(listItem);
+    });
+
+    container.appendChild(heading);
+    container.appendChild(list);
   }
 
-  // Function to show all venues
+  function formatSnapshotDate(isoDate) {
+    return new Date(isoDate).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  }
+
+  // Function to download the current analysis in the requested format
+  // Exports follow the scope filters, so they match what the popup shows
+  function exportAnalysis(format) {
+    if (!scopedAnalysis) return;
+    const analysis = scopedAnalysis;
+
+    const formats = {
+      "papers-csv": {
+        content: () => AnalysisExport.toPapersCsv(analysis),
+        suffix: "papers",
+        extension: "csv",
+        mimeType: "text/csv",
+      },
+      "venues-csv": {
+        content: () => AnalysisExport.toVenuesCsv(analysis),
+        suffix: "venues",
+        extension: "csv",
+        mimeType: "text/csv",
+      },
+      json: {
+        content: () => AnalysisExport.toJson(analysis),
+        suffix: "analysis",
+        extension: "json",
+        mimeType: "application/json",
+      },
+      bibtex: {
+        content: () => AnalysisExport.toBibtex(analysis),
+        suffix: "papers",
+        extension: "bib",
+        mimeType: "application/x-bibtex",
+      },
+    };
+
+    const selected = formats[format];
+    if (!selected) return;
+
+    AnalysisExport.downloadFile(
+      selected.content(),
+      AnalysisExport.buildFileName(
+        analysis,
+        selected.suffix,
+        selected.extension
+      ),
+      selected.mimeType
+    );
+  }
+
+  // Function to open the full-page report of the analysis on screen
+  function openReport() {
+    if (!currentAnalysis) return;
+
+    const keyPromise = currentSnapshotKey
+      ? Promise.resolve(currentSnapshotKey)
+      : chrome.storage.local
+          .set({ [REPORT_KEY]: currentAnalysis })
+          .then(() => REPORT_KEY);
+
+    keyPromise
+      .then((key) => {
+        chrome.tabs.create({
+          url: chrome.runtime.getURL(
+            `report.html?key=${encodeURIComponent(key)}`
+          ),
+        });
+      })
+      .catch((error) => {
+        console.error("❌ Failed to open the report:", error);
+        showError("Could not open the report.");
+      });
+  }
+
+  // Function to toggle between the top 10 and all venues
   function showAllVenues() {
-    displayVenueTable(allVenueData);
+    showingAllVenues = !showingAllVenues;
+    refreshVenueTable();
+  }
 
+  // Function to render the venue table for the current sort and size
+  function refreshVenueTable() {
+    const visibleVenues = allVenueData.filter(matchesTierFilter);
+    displayVenueTable(
+      showingAllVenues ? visibleVenues : visibleVenues.slice(0, 10)
+    );
+
+    // Show "Show more" button if there are more than 10 venues
     const showMoreBtn = document.getElementById("show-more-btn");
-    showMoreBtn.textContent = "📊 Show top 10 venues";
-    showMoreBtn.onclick = function () {
-      displayVenueTable(allVenueData.slice(0, 10));
-      showMoreBtn.textContent = `📈 Show all ${allVenueData.length} venues`;
-      showMoreBtn.onclick = showAllVenues;
-    };
+    if (visibleVenues.length <= 10) {
+      showMoreBtn.style.display = "none";
+    } else {
+      showMoreBtn.textContent = showingAllVenues
+        ? "📊 Show top 10 venues"
+        : `📈 Show all ${visibleVenues.length} venues`;
+      showMoreBtn.style.display = "block";
+    }
+
+    // Mark the active sort column
+    document.querySelectorAll("#venue-table th[data-sort]").forEach((th) => {
+      th.classList.remove("sorted-asc", "sorted-desc");
+      if (th.dataset.sort === venueSort.key) {
+        th.classList.add(`sorted-${venueSort.direction}`);
+      }
+    });
+  }
+
+  // Function to fill the tier filter with the tiers found in this analysis
+  // The selected tier is kept across scope changes while it still exists
+  function setupTierFilter(tiers) {
+    const select = document.getElementById("tier-filter");
+    select.innerHTML = "";
+
+    const options = [
+      ["all", "All tiers"],
+      ["top", "Top venues"],
+    ];
+    tiers.forEach((item) => {
+      options.push(
+        item.tier
+          ? [item.tier, `${item.tier} (${item.count})`]
+          : ["unranked", `Unranked (${item.count})`]
+      );
+    });
+
+    options.forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+
+    if (!options.some(([value]) => value === tierFilter)) tierFilter = "all";
+    select.value = tierFilter;
+  }
+
+  function matchesTierFilter(item) {
+    if (tierFilter === "all") return true;
+    if (tierFilter === "top") return item.top;
+    if (tierFilter === "unranked") return !item.tier;
+    return item.tier === tierFilter;
+  }
+
+  // Tiers sort in the order the analysis lists them, best first
+  function tierRank(tier) {
+    const tiers = (currentAnalysis && currentAnalysis.tiers) || [];
+    const index = tiers.findIndex((item) => item.tier === (tier || null));
+    return index === -1 ? tiers.length : index;
+  }
+
+  // Function to sort the venue table by a column
+  function sortVenueTable(key) {
+    if (venueSort.key === key) {
+      venueSort.direction = venueSort.direction === "desc" ? "asc" : "desc";
+    } else {
+      // Names and tiers read best A-Z, numbers read best highest first
+      venueSort = {
+        key,
+        direction: key === "venue" || key === "tier" ? "asc" : "desc",
+      };
+    }
+
+    const factor = venueSort.direction === "asc" ? 1 : -1;
+    allVenueData.sort((a, b) => {
+      if (key === "venue") {
+        return factor * a.venue.localeCompare(b.venue);
+      }
+      if (key === "tier") {
+        const difference = tierRank(a.tier) - tierRank(b.tier);
+        return difference !== 0 ? factor * difference : b.count - a.count;
+      }
+      const difference = (a[key] || 0) - (b[key] || 0);
+      return difference !== 0 ? factor * difference : b.count - a.count;
+    });
+
+    refreshVenueTable();
   }
 
   // Function to create the venue table
@@ -380,24 +1228,716 @@ document.addEventListener("DOMContentLoaded", function () {
 
     venueData.forEach((item, index) => {
       const row = document.createElement("tr");
+      row.className = "venue-row";
+      row.title = "Click to show the papers grouped under this venue";
 
       const rankCell = document.createElement("td");
       rankCell.className = "venue-rank";
       rankCell.textContent = index + 1;
 
       const venueCell = document.createElement("td");
-      venueCell.textContent = item.venue;
+      venueCell.textContent = `${expandedVenues.has(item.venue) ? "▾" : "▸"} ${
+        item.venue
+      }`;
       venueCell.style.fontSize = "14px";
 
+      // Tag the venue with its research area
+      const categoryTag = document.createElement("span");
+      categoryTag.className = item.category
+        ? "category-tag"
+        : "category-tag uncategorized";
+      categoryTag.textContent = item.categoryName || "Uncategorized";
+      venueCell.appendChild(categoryTag);
+
+      // Show the most-cited paper of the venue under its name
+      if (item.mostCitedPaper && item.mostCitedPaper.citations > 0) {
+        const topPaper = document.createElement("div");
+        topPaper.className = "top-paper";
+        topPaper.textContent = `★ ${item.mostCitedPaper.title} (${item.mostCitedPaper.citations})`;
+        topPaper.title = item.mostCitedPaper.title;
+        venueCell.appendChild(topPaper);
+      }
+
+      const tierCell = document.createElement("td");
+      tierCell.className = "venue-tier";
+      if (item.tier || item.top) {
+        const tierBadge = document.createElement("span");
+        tierBadge.className = item.top ? "tier-badge top" : "tier-badge";
+        tierBadge.textContent = item.tier || "★";
+        tierBadge.title = item.top ? "Top venue" : `Tier ${item.tier}`;
+        tierCell.appendChild(tierBadge);
+      } else {
+        tierCell.textContent = "–";
+      }
+
       const countCell = document.createElement("td");
       countCell.className = "venue-count";
       countCell.textContent = item.count;
       countCell.style.fontWeight = "bold";
 
+      const citationsCell = document.createElement("td");
+      citationsCell.className = "venue-stat";
+      citationsCell.textContent = (item.totalCitations || 0).toLocaleString();
+
+      const medianCell = document.createElement("td");
+      medianCell.className = "venue-stat";
+      medianCell.textContent = item.medianCitations || 0;
+
+      const hIndexCell = document.createElement("td");
+      hIndexCell.className = "venue-stat";
+      hIndexCell.textContent = item.hIndex || 0;
+
       row.appendChild(rankCell);
       row.appendChild(venueCell);
+      row.appendChild(tierCell);
       row.appendChild(countCell);
+      row.appendChild(citationsCell);
+      row.appendChild(medianCell);
+      row.appendChild(hIndexCell);
+      tableBody.appendChild(row);
+
+      row.addEventListener("click", function () {
+        toggleVenuePapers(item.venue);
+      });
+
+      if (expandedVenues.has(item.venue)) {
+        tableBody.appendChild(createVenuePapersRow(item.venue));
+      }
+    });
+  }
+
+  // Function to expand or collapse the paper list of a venue
+  function toggleVenuePapers(venue) {
+    if (expandedVenues.has(venue)) {
+      expandedVenues.delete(venue);
+    } else {
+      expandedVenues.add(venue);
+    }
+    refreshVenueTable();
+  }
+
+  // Function to build the detail row listing every paper mapped to a venue
+  function createVenuePapersRow(venue) {
+    const detailRow = document.createElement("tr");
+    detailRow.className = "venue-papers-row";
+
+    const detailCell = document.createElement("td");
+    detailCell.colSpan = 7;
+
+    const papers = ((scopedAnalysis && scopedAnalysis.publications) || [])
+      .filter((publication) => publication.venue === venue)
+      .sort((a, b) => (b.year || 0) - (a.year || 0));
+
+    const list = document.createElement("ul");
+    list.className = "venue-papers";
+
+    papers.forEach((paper) => {
+      const listItem = document.createElement("li");
+
+      const title = document.createElement(paper.link ? "a" : "span");
+      title.className = "paper-title";
+      title.textContent = paper.title || "(untitled)";
+      if (paper.link) {
+        title.href = paper.link;
+        title.target = "_blank";
+        title.rel = "noopener";
+      }
+
+      const meta = document.createElement("div");
+      meta.className = "paper-meta";
+      meta.textContent = `${paper.year || "n.d."} · ${
+        paper.citations
+      } citation${paper.citations === 1 ? "" : "s"}`;
+
+      // Raw Scholar text makes mis-groupings easy to spot
+      const raw = document.createElement("div");
+      raw.className = "paper-raw-venue";
+      raw.textContent = `Scholar: "${paper.venueText}"`;
+
+      listItem.appendChild(title);
+      listItem.appendChild(meta);
+      listItem.appendChild(raw);
+      list.appendChild(listItem);
+    });
+
+    detailCell.appendChild(list);
+    detailRow.appendChild(detailCell);
+    return detailRow;
+  }
+
+  // Function to draw the charts of the scoped analysis
+  function displayCharts() {
+    const chartSection = document.getElementById("chart-section");
+    if ((scopedAnalysis.venues || []).length === 0) {
+      chartSvgs = {};
+      chartSection.style.display = "none";
+      return;
+    }
+
+    chartSvgs = {
+      venues: AnalysisCharts.venueBarChart(scopedAnalysis, 10),
+      categories: AnalysisCharts.categoryDonut(scopedAnalysis),
+      years: AnalysisCharts.yearStackedChart(scopedAnalysis),
+    };
+    document.getElementById("venue-chart").innerHTML = chartSvgs.venues;
+    document.getElementById("category-donut").innerHTML = chartSvgs.categories;
+    document.getElementById("year-chart").innerHTML = chartSvgs.years;
+
+    // Papers without a year have no place on the per-year chart
+    document.getElementById("year-chart-card").style.display =
+      (scopedAnalysis.timeline || []).length > 0 ? "block" : "none";
+    chartSection.style.display = "block";
+  }
+
+  // Function to download a chart as SVG, or as PNG for slides
+  function downloadChart(name, format) {
+    const svg = chartSvgs[name];
+    if (!svg) return;
+
+    const fileName = AnalysisExport.buildFileName(
+      scopedAnalysis,
+      `${name}-chart`,
+      format
+    );
+    if (format === "svg") {
+      AnalysisExport.downloadFile(svg, fileName, "image/svg+xml");
+      return;
+    }
+
+    AnalysisCharts.toPngBlob(svg, 2)
+      .then((blob) => AnalysisExport.downloadFile(blob, fileName, "image/png"))
+      .catch((error) => {
+        console.error("❌ Failed to create PNG:", error);
+      });
+  }
+
+  // Function to render the top collaborators table
+  function displayCollaborators() {
+    const section = document.getElementById("collaborator-section");
+    const collaborators = coauthorData ? coauthorData.collaborators : [];
+    if (collaborators.length === 0) {
+      section.style.display = "none";
+      return;
+    }
+    section.style.display = "block";
+
+    const tableBody = document.getElementById("collaborator-tbody");
+    tableBody.innerHTML = "";
+    (showingAllCollaborators
+      ? collaborators
+      : collaborators.slice(0, 10)
+    ).forEach((item) => {
+      const row = document.createElement("tr");
+
+      const nameCell = document.createElement("td");
+      nameCell.textContent = item.name;
+
+      const papersCell = document.createElement("td");
+      papersCell.className = "venue-count";
+      papersCell.textContent = item.papers;
+
+      const topCell = document.createElement("td");
+      topCell.className = "venue-stat";
+      topCell.textContent = item.topPapers;
+
+      const venuesCell = document.createElement("td");
+      venuesCell.textContent = item.venues
+        .slice(0, 3)
+        .map((venue) => `${venue.venue} (${venue.count})`)
+        .join(", ");
+
+      const yearsCell = document.createElement("td");
+      yearsCell.className = "venue-stat";
+      if (item.firstYear) {
+        yearsCell.textContent =
+          item.firstYear === item.lastYear
+            ? item.firstYear
+            : `${item.firstYear}–${item.lastYear}`;
+      }
+
+      row.appendChild(nameCell);
+      row.appendChild(papersCell);
+      row.appendChild(topCell);
+      row.appendChild(venuesCell);
+      row.appendChild(yearsCell);
+      tableBody.appendChild(row);
+    });
+
+    const moreBtn = document.getElementById("collaborator-more-btn");
+    if (collaborators.length <= 10) {
+      moreBtn.style.display = "none";
+    } else {
+      moreBtn.textContent = showingAllCollaborators
+        ? "Show top 10 collaborators"
+        : `Show all ${collaborators.length} collaborators`;
+      moreBtn.style.display = "block";
+    }
+
+    displayVenuePartners();
+  }
+
+  // Function to list the co-authors of each venue that passes the tier filter
+  function displayVenuePartners() {
+    const list = document.getElementById("venue-partners");
+    list.innerHTML = "";
+    if (!coauthorData) return;
+
+    const visibleVenues = new Set(
+      allVenueData.filter(matchesTierFilter).map((item) => item.venue)
+    );
+    const venues = coauthorData.venues
+      .filter((item) => visibleVenues.has(item.venue))
+      .slice(0, 10);
+
+    if (venues.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "partner-row";
+      empty.textContent = "No venues match the tier filter.";
+      list.appendChild(empty);
+      return;
+    }
+
+    venues.forEach((item) => {
+      const row = document.createElement("div");
+      row.className = "partner-row";
+
+      const title = document.createElement("strong");
+      title.textContent = item.venue;
+      row.appendChild(title);
+      row.appendChild(
+        document.createTextNode(
+          ` · ${item.papers} paper${item.papers === 1 ? "" : "s"}`
+        )
+      );
+
+      if (item.dominant) {
+        const dominant = document.createElement("span");
+        dominant.className = "partner-dominant";
+        dominant.textContent = `mostly with ${item.dominant.name} (${Math.round(
+          item.dominant.share * 100
+        )}%)`;
+        row.appendChild(dominant);
+      }
+
+      const names = item.collaborators
+        .slice(0, 5)
+        .map((partner) => `${partner.name} ${partner.count}`);
+      if (item.collaborators.length > 5) {
+        names.push(`${item.collaborators.length - 5} more`);
+      }
+      if (item.soloPapers > 0) {
+        names.push(`${item.soloPapers} without co-authors`);
+      }
+
+      const partners = document.createElement("div");
+      partners.className = "partner-names";
+      partners.textContent = names.join(" · ");
+      row.appendChild(partners);
+
+      list.appendChild(row);
+    });
+  }
+
+  // Function to render the venue x year matrix and the timeline
+  function displayYearBreakdown(venueData, timeline) {
+    const yearSection = document.getElementById("year-section");
+
+    if (timeline.length === 0) {
+      yearSection.style.display = "none";
+      return;
+    }
+
+    // Fill gaps so the matrix has one column per year in the range
+    const firstYear = timeline[0].year;
+    const lastYear = timeline[timeline.length - 1].year;
+    const years = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      years.push(year);
+    }
+
+    displayVenueYearMatrix(venueData.slice(0, 10), years);
+    displayTimeline(timeline);
+    yearSection.style.display = "block";
+  }
+
+  // Function to create the venue x year matrix for the top venues
+  function displayVenueYearMatrix(venueData, years) {
+    const tableHead = document.getElementById("venue-year-thead");
+    const tableBody = document.getElementById("venue-year-tbody");
+    tableHead.innerHTML = "";
+    tableBody.innerHTML = "";
+
+    const headerRow = document.createElement("tr");
+    const venueHeader = document.createElement("th");
+    venueHeader.textContent = "Venue";
+    headerRow.appendChild(venueHeader);
+    years.forEach((year) => {
+      const yearHeader = document.createElement("th");
+      yearHeader.textContent = `'${String(year).slice(-2)}`;
+      yearHeader.title = year;
+      headerRow.appendChild(yearHeader);
+    });
+    tableHead.appendChild(headerRow);
+
+    venueData.forEach((item) => {
+      const row = document.createElement("tr");
+
+      const venueCell = document.createElement("td");
+      venueCell.textContent = item.venue;
+      row.appendChild(venueCell);
+
+      years.forEach((year) => {
+        const count = (item.years && item.years[year]) || 0;
+        const cell = document.createElement("td");
+        cell.textContent = count || "·";
+        cell.title = `${item.venue} ${year}: ${count}`;
+        if (count === 0) {
+          cell.className = "empty-cell";
+        } else {
+          cell.style.fontWeight = "bold";
+          cell.style.color = "#1a73e8";
+        }
+        row.appendChild(cell);
+      });
+
       tableBody.appendChild(row);
     });
   }
+
+  // Function to list where the researcher published each year
+  function displayTimeline(timeline) {
+    const timelineDiv = document.getElementById("timeline");
+    timelineDiv.innerHTML = "";
+
+    // Most recent year first
+    timeline
+      .slice()
+      .reverse()
+      .forEach((entry) => {
+        const yearRow = document.createElement("div");
+        yearRow.className = "timeline-year";
+
+        const label = document.createElement("div");
+        label.className = "timeline-label";
+        label.textContent = entry.year;
+        const paperCount = document.createElement("small");
+        paperCount.textContent = `${entry.count} paper${
+          entry.count === 1 ? "" : "s"
+        }`;
+        label.appendChild(paperCount);
+
+        const venues = document.createElement("div");
+        venues.className = "timeline-venues";
+        venues.textContent = entry.venues
+          .slice(0, 6)
+          .map((venue) => `${venue.venue} (${venue.count})`)
+          .join(", ");
+        if (entry.venues.length > 6) {
+          venues.textContent += `, +${entry.venues.length - 6} more`;
+        }
+
+        yearRow.appendChild(label);
+        yearRow.appendChild(venues);
+        timelineDiv.appendChild(yearRow);
+      });
+  }
+
+  // Function to load the effective mapping once for the review screen
+  function loadEffectiveMapping(callback) {
+    if (effectiveMapping) {
+      callback(effectiveMapping);
+      return;
+    }
+
+    VenueMappingStore.loadEffectiveMapping()
+      .then((mapping) => {
+        effectiveMapping = mapping;
+        callback(effectiveMapping);
+      })
+      .catch((error) => {
+        console.error("❌ Failed to load venue mapping:", error);
+        callback({ categories: {} });
+      });
+  }
+
+  // Function to render the unmatched venue review queue
+  function displayReviewQueue(publications) {
+    const queue = VenueAggregation.groupUnmatchedVenues(publications);
+
+    loadEffectiveMapping((mapping) => {
+      chrome.storage.local.get("userVenueRules", function (stored) {
+        const rules = stored.userVenueRules || [];
+
+        const reviewToggleBtn = document.getElementById("review-toggle-btn");
+        if (queue.length === 0 && rules.length === 0) {
+          reviewToggleBtn.style.display = "none";
+          document.getElementById("review-panel").style.display = "none";
+          return;
+        }
+        reviewToggleBtn.textContent = `🧩 Review ${
+          queue.length
+        } unmatched venue${queue.length === 1 ? "" : "s"}`;
+        reviewToggleBtn.style.display = "block";
+
+        fillCanonicalVenues(mapping, rules);
+        displayReviewItems(queue, mapping, rules);
+        displayUserRules(rules);
+      });
+    });
+  }
+
+  // Function to offer every known venue as an autocomplete suggestion
+  function fillCanonicalVenues(mapping, rules) {
+    const datalist = document.getElementById("canonical-venues");
+    datalist.innerHTML = "";
+
+    const names = new Set(rules.map((rule) => rule.venue));
+    Object.values(mapping.categories || {}).forEach((category) => {
+      Object.keys(category.venues || {}).forEach((venue) => names.add(venue));
+    });
+
+    Array.from(names)
+      .sort((a, b) => a.localeCompare(b))
+      .forEach((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        datalist.appendChild(option);
+      });
+  }
+
+  // Function to find the mapping entry for a canonical venue name
+  function findMappedVenue(mapping, venueName) {
+    for (const [categoryKey, category] of Object.entries(
+      mapping.categories || {}
+    )) {
+      const venueConfig = category.venues && category.venues[venueName];
+      if (venueConfig) {
+        return {
+          category: categoryKey,
+          type: venueConfig.type || null,
+          tier: venueConfig.tier || null,
+          topVenue:
+            typeof venueConfig.top_venue === "boolean"
+              ? venueConfig.top_venue
+              : null,
+        };
+      }
+    }
+    return null;
+  }
+
+  // Function to render one editable entry per unmatched venue
+  function displayReviewItems(queue, mapping, rules) {
+    const reviewList = document.getElementById("review-list");
+    reviewList.innerHTML = "";
+
+    if (queue.length === 0) {
+      reviewList.innerHTML = `<div class="review-empty">Every venue in this profile matched a known venue.</div>`;
+      return;
+    }
+
+    queue.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = "review-item";
+
+      const name = document.createElement("div");
+      name.className = "review-name";
+      name.textContent = entry.venue + " ";
+      const count = document.createElement("small");
+      count.textContent = `(${entry.count} paper${
+        entry.count === 1 ? "" : "s"
+      })`;
+      name.appendChild(count);
+
+      const examples = document.createElement("div");
+      examples.className = "review-examples";
+      examples.textContent = entry.examples
+        .slice(0, 2)
+        .map((text) => `"${text}"`)
+        .join(" · ");
+
+      const controls = document.createElement("div");
+      controls.className = "review-controls";
+
+      const venueInput = document.createElement("input");
+      venueInput.setAttribute("list", "canonical-venues");
+      venueInput.placeholder = "Canonical venue, e.g. MIDL";
+
+      const categorySelect = document.createElement("select");
+      const noCategory = document.createElement("option");
+      noCategory.value = "";
+      noCategory.textContent = "No category";
+      categorySelect.appendChild(noCategory);
+      Object.entries(mapping.categories || {}).forEach(([key, category]) => {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = category.display_name || key;
+        categorySelect.appendChild(option);
+      });
+
+      // Picking an existing venue also picks its category
+      venueInput.addEventListener("change", function () {
+        const mapped = findMappedVenue(mapping, venueInput.value.trim());
+        const ruled = rules.find((rule) => rule.venue === venueInput.value);
+        const known = mapped || ruled;
+        if (known) {
+          categorySelect.value = known.category || "";
+        }
+      });
+
+      const saveBtn = document.createElement("button");
+      saveBtn.className = "export-btn";
+      saveBtn.textContent = "Save";
+      saveBtn.addEventListener("click", function () {
+        const venue = venueInput.value.trim();
+        if (!venue) {
+          venueInput.focus();
+          return;
+        }
+
+        // Rules pointing at a mapped venue keep its tier
+        const mapped = findMappedVenue(mapping, venue);
+        const rule = {
+          pattern: VenueNormalizer.userRulePattern(entry.examples, mapping),
+          venue: venue,
+          category: categorySelect.value || null,
+          type: mapped ? mapped.type : null,
+          tier: mapped ? mapped.tier : null,
+          createdAt: new Date().toISOString(),
+        };
+        if (mapped && mapped.topVenue !== null) {
+          rule.top_venue = mapped.topVenue;
+        }
+        saveUserVenueRule(rule);
+      });
+
+      controls.appendChild(venueInput);
+      controls.appendChild(categorySelect);
+      controls.appendChild(saveBtn);
+
+      item.appendChild(name);
+      item.appendChild(examples);
+      item.appendChild(controls);
+      reviewList.appendChild(item);
+    });
+  }
+
+  // Function to list saved user rules with a remove action
+  function displayUserRules(rules) {
+    const rulesList = document.getElementById("user-rules-list");
+    rulesList.innerHTML = "";
+
+    if (rules.length === 0) {
+      rulesList.innerHTML = `<div class="review-empty">No rules yet.</div>`;
+      return;
+    }
+
+    rules.forEach((rule) => {
+      const item = document.createElement("div");
+      item.className = "review-item review-controls";
+
+      const description = document.createElement("div");
+      description.style.flex = "1";
+      description.textContent = `/${rule.pattern}/ → ${rule.venue}`;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "export-btn";
+      removeBtn.textContent = "Remove";
+      removeBtn.addEventListener("click", function () {
+        removeUserVenueRule(rule.pattern);
+      });
+
+      item.appendChild(description);
+      item.appendChild(removeBtn);
+      rulesList.appendChild(item);
+    });
+  }
+
+  // Function to store a user rule, replacing any rule with the same pattern
+  function saveUserVenueRule(newRule) {
+    chrome.storage.local.get("userVenueRules", function (stored) {
+      const rules = (stored.userVenueRules || []).filter(
+        (rule) => rule.pattern !== newRule.pattern
+      );
+      rules.push(newRule);
+
+      chrome.storage.local.set({ userVenueRules: rules }, function () {
+        console.log(
+          `✅ Saved venue rule: ${newRule.pattern} → ${newRule.venue}`
+        );
+        applyVenueRules(rules);
+      });
+    });
+  }
+
+  // Function to delete a user rule
+  function removeUserVenueRule(pattern) {
+    chrome.storage.local.get("userVenueRules", function (stored) {
+      const rules = (stored.userVenueRules || []).filter(
+        (rule) => rule.pattern !== pattern
+      );
+
+      chrome.storage.local.set({ userVenueRules: rules }, function () {
+        console.log(`🗑️ Removed venue rule: ${pattern}`);
+        applyVenueRules(rules);
+      });
+    });
+  }
+
+  // Function to normalize the publications on screen again with the updated
+  // rules, so triaging the review queue never scrapes the profile again
+  function applyVenueRules(rules) {
+    const publications =
+      (currentAnalysis && currentAnalysis.publications) || [];
+    if (publications.length === 0) {
+      displayReviewQueue(publications);
+      return;
+    }
+
+    loadEffectiveMapping((mapping) => {
+      currentAnalysis = renormalizeAnalysis(
+        currentAnalysis,
+        Object.assign({}, mapping, { user_rules: rules })
+      );
+      // The stored snapshot still has the old venues, so the report reads
+      // the analysis on screen instead
+      currentSnapshotKey = null;
+
+      document.getElementById("raw-counts-option").style.display =
+        currentAnalysis.duplicates.length > 0 ? "block" : "none";
+      displayScopedResults();
+      displayReviewQueue(currentAnalysis.publications);
+    });
+  }
+
+  // Map every publication's venue text with the given mapping and recompute
+  // the venue, research area, tier and timeline tallies, as the content
+  // script does after scraping
+  function renormalizeAnalysis(analysis, mapping) {
+    const matcher = VenueNormalizer.createMatcher(mapping);
+    const publications = analysis.publications.map((publication) =>
+      Object.assign(
+        {},
+        publication,
+        VenueNormalizer.venueFields(matcher.normalize(publication.venueText))
+      )
+    );
+    const processed = publications.filter((publication) => publication.venue);
+    const duplicates = PreprintDedup.findDuplicates(publications);
+
+    return Object.assign(
+      {},
+      analysis,
+      VenueAggregation.aggregateVenues(
+        PreprintDedup.mergeDuplicates(publications, duplicates),
+        VenueAggregation.mappingOptions(mapping)
+      ),
+      {
+        publications: publications,
+        duplicates: duplicates,
+        totalProcessed: processed.length,
+        totalSkipped: publications.length - processed.length,
+      }
+    );
+  }
 });
@@ -0,0 +1,147 @@
+// Detects papers a profile lists twice, once as a preprint (arXiv, bioRxiv,
+// SSRN) and once at the venue where it was published, and merges each pair
+// under the published venue. Pure functions shared by the content script,
+// the popup (for the raw-counts toggle) and the Node tests
+(function (root) {
+  // Titles at least this similar are treated as the same work
+  const SIMILARITY_THRESHOLD = 0.75;
+
+  // Preprints may be posted a while before or after publication
+  const MAX_YEAR_GAP = 2;
+
+  // Pairs of adjacent words of a title, lowercased without accents or
+  // punctuation. Pairs keep word order, so "X is Y" and "X is not Y" differ
+  // more than their word sets would
+  function titleBigrams(title) {
+    const words = (title || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+      .split(" ")
+      .filter(Boolean);
+    if (words.length === 1) return new Set(words);
+
+    const bigrams = new Set();
+    for (let i = 1; i < words.length; i++) {
+      bigrams.add(`${words[i - 1]} ${words[i]}`);
+    }
+    return bigrams;
+  }
+
+  // Dice coefficient of two sets, from 0 to 1
+  function diceCoefficient(setA, setB) {
+    if (setA.size === 0 || setB.size === 0) return 0;
+
+    let shared = 0;
+    setA.forEach((item) => {
+      if (setB.has(item)) shared++;
+    });
+    return (2 * shared) / (setA.size + setB.size);
+  }
+
+  function titleSimilarity(titleA, titleB) {
+    return diceCoefficient(titleBigrams(titleA), titleBigrams(titleB));
+  }
+
+  function isPreprint(publication) {
+    return publication.venueType === "preprint";
+  }
+
+  function yearsCompatible(preprint, published) {
+    if (!preprint.year || !published.year) return true;
+    return Math.abs(preprint.year - published.year) <= MAX_YEAR_GAP;
+  }
+
+  // Pair every preprint with the most similar published paper, if any.
+  // Returns [{ preprint, published, similarity }] with indexes into
+  // publications; several preprints may pair with the same published paper
+  function findDuplicates(publications, threshold) {
+    const minSimilarity = threshold || SIMILARITY_THRESHOLD;
+
+    // Each title is split once; profiles can list hundreds of papers
+    const candidates = [];
+    publications.forEach((publication, index) => {
+      if (publication.venue && !isPreprint(publication)) {
+        candidates.push({
+          index,
+          publication,
+          bigrams: titleBigrams(publication.title),
+        });
+      }
+    });
+
+    const duplicates = [];
+    publications.forEach((publication, index) => {
+      if (!isPreprint(publication)) return;
+
+      const bigrams = titleBigrams(publication.title);
+      if (bigrams.size === 0) return;
+
+      let best = null;
+      candidates.forEach((candidate) => {
+        if (!yearsCompatible(publication, candidate.publication)) return;
+
+        const similarity = diceCoefficient(bigrams, candidate.bigrams);
+        if (
+          similarity >= minSimilarity &&
+          (!best || similarity > best.similarity)
+        ) {
+          best = { preprint: index, published: candidate.index, similarity };
+        }
+      });
+
+      if (best) duplicates.push(best);
+    });
+
+    return duplicates;
+  }
+
+  // Publications with every paired preprint removed. The published version
+  // is copied with the preprint's citations added, because Scholar splits
+  // the citations of versions it did not merge itself
+  function mergeDuplicates(publications, duplicates) {
+    const mergedInto = new Map();
+    (duplicates || []).forEach((pair) => {
+      mergedInto.set(pair.preprint, pair.published);
+    });
+    if (mergedInto.size === 0) return publications.slice();
+
+    const extraCitations = new Map();
+    mergedInto.forEach((publishedIndex, preprintIndex) => {
+      extraCitations.set(
+        publishedIndex,
+        (extraCitations.get(publishedIndex) || 0) +
+          (publications[preprintIndex].citations || 0)
+      );
+    });
+
+    const merged = [];
+    publications.forEach((publication, index) => {
+      if (mergedInto.has(index)) return;
+      if (extraCitations.has(index)) {
+        merged.push({
+          ...publication,
+          citations: (publication.citations || 0) + extraCitations.get(index),
+        });
+      } else {
+        merged.push(publication);
+      }
+    });
+    return merged;
+  }
+
+  const PreprintDedup = {
+    SIMILARITY_THRESHOLD,
+    titleSimilarity,
+    findDuplicates,
+    mergeDuplicates,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = PreprintDedup;
+  } else {
+    root.PreprintDedup = PreprintDedup;
+  }
+})(typeof self !== "undefined" ? self : this);
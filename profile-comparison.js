@@ -0,0 +1,90 @@
+// Builds a side-by-side view of several researchers' analyses: venues and
+// research areas as rows, researchers as columns. Pure functions, shared by
+// the comparison page and the Node tests
+(function (root) {
+  // Share of a researcher's venue-matched papers, 0 when they have none
+  function cell(count, total) {
+    return { count: count, share: total > 0 ? count / total : 0 };
+  }
+
+  // Turn { key: { ..., counts: [n per profile] } } rows into rows sorted by
+  // total count, then by their label
+  function toRows(rowsByKey, totals, labelKey) {
+    return Object.values(rowsByKey)
+      .map((row) => {
+        const { counts, ...rest } = row;
+        return {
+          ...rest,
+          total: counts.reduce((sum, count) => sum + count, 0),
+          cells: counts.map((count, index) => cell(count, totals[index])),
+        };
+      })
+      .sort(
+        (a, b) => b.total - a.total || a[labelKey].localeCompare(b[labelKey])
+      );
+  }
+
+  // Compare analysis results (as returned by the content script or loaded
+  // from the history), in the order given
+  // Returns { profiles: [{ userId, name, savedAt, totalPapers }],
+  // venues: [{ venue, category, categoryName, total, cells }],
+  // categories: [{ category, name, total, cells }] } where every cells entry
+  // is { count, share } for the researcher in the same column
+  function buildComparison(analyses) {
+    const totals = analyses.map((analysis) =>
+      (analysis.venues || []).reduce((sum, item) => sum + item.count, 0)
+    );
+
+    const profiles = analyses.map((analysis, index) => {
+      const profile = analysis.profile || {};
+      return {
+        userId: profile.userId || null,
+        name: profile.name || profile.userId || `Profile ${index + 1}`,
+        savedAt: analysis.savedAt || null,
+        totalPapers: totals[index],
+      };
+    });
+
+    const venues = {};
+    const categories = {};
+    analyses.forEach((analysis, index) => {
+      (analysis.venues || []).forEach((item) => {
+        if (!venues[item.venue]) {
+          venues[item.venue] = {
+            venue: item.venue,
+            category: item.category || null,
+            categoryName: item.categoryName || "Uncategorized",
+            counts: analyses.map(() => 0),
+          };
+        }
+        venues[item.venue].counts[index] += item.count;
+      });
+
+      (analysis.categories || []).forEach((item) => {
+        const id = item.category || "uncategorized";
+        if (!categories[id]) {
+          categories[id] = {
+            category: item.category || null,
+            name: item.name || "Uncategorized",
+            counts: analyses.map(() => 0),
+          };
+        }
+        categories[id].counts[index] += item.count;
+      });
+    });
+
+    return {
+      profiles,
+      venues: toRows(venues, totals, "venue"),
+      categories: toRows(categories, totals, "name"),
+    };
+  }
+
+  const ProfileComparison = { buildComparison };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = ProfileComparison;
+  } else {
+    root.ProfileComparison = ProfileComparison;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,178 @@
+// Filters that scope an analysis to a subset of the scraped publications:
+// year range or last N years, venue type, minimum citations and the profile
+// owner's author position. Pure functions shared by the popup and Node tests
+(function (root) {
+  // Every filter off; the popup starts from a copy of this
+  const DEFAULT_FILTERS = {
+    fromYear: null,
+    toYear: null,
+    lastYears: null,
+    type: "all",
+    minCitations: 0,
+    authorRole: "any",
+  };
+
+  // Venue types that get their own choice; everything else is "other"
+  const VENUE_TYPES = ["conference", "journal", "preprint"];
+
+  function isActive(filters) {
+    return Object.keys(DEFAULT_FILTERS).some(
+      (key) => filters[key] !== DEFAULT_FILTERS[key]
+    );
+  }
+
+  // Lowercase, strip accents and punctuation except hyphens, then split
+  function nameTokens(name) {
+    return (name || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/\(.*?\)/g, " ")
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, " ")
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  // Split Scholar's author line, e.g. "A Krizhevsky, I Sutskever, GE Hinton"
+  // Scholar ends long lists with "..." and then the last author is unknown
+  function parseAuthors(authorsText) {
+    const text = (authorsText || "").trim();
+    const truncated = /(\.\.\.|…)$/.test(text);
+    const names = text
+      .replace(/(\.\.\.|…)$/, "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    return { names, truncated };
+  }
+
+  // Scholar writes authors as initials and surname ("GE Hinton"), so compare
+  // the surname and the first initial with the profile name
+  function matchesOwner(authorName, ownerName) {
+    const author = nameTokens(authorName);
+    const owner = nameTokens(ownerName).filter((token) => token !== "jr");
+    if (author.length === 0 || owner.length === 0) return false;
+
+    if (author[author.length - 1] !== owner[owner.length - 1]) return false;
+    if (author.length === 1 || owner.length === 1) return true;
+    return author[0][0] === owner[0][0];
+  }
+
+  // Where the profile owner appears in the author line:
+  // "sole" | "first" | "last" | "middle" | null when not found
+  function findAuthorPosition(authorsText, ownerName) {
+    const { names, truncated } = parseAuthors(authorsText);
+    const index = names.findIndex((name) => matchesOwner(name, ownerName));
+    if (index === -1) return null;
+
+    const isLast = index === names.length - 1 && !truncated;
+    if (index === 0) return isLast ? "sole" : "first";
+    return isLast ? "last" : "middle";
+  }
+
+  function matchesAuthorRole(position, authorRole) {
+    switch (authorRole) {
+      case "first":
+        return position === "first" || position === "sole";
+      case "last":
+        return position === "last" || position === "sole";
+      case "first_or_last":
+        return position !== null && position !== "middle";
+      default:
+        return true;
+    }
+  }
+
+  // First and last year a set of filters allows, either bound may be null
+  function yearRange(filters, currentYear) {
+    if (filters.lastYears) {
+      const year = currentYear || new Date().getFullYear();
+      return { from: year - filters.lastYears + 1, to: null };
+    }
+    return { from: filters.fromYear || null, to: filters.toYear || null };
+  }
+
+  // Keep the publications that pass every filter. ownerName is the profile
+  // name used for the author-position filter. Papers without a year are
+  // dropped as soon as a year bound is set
+  function filterPublications(publications, filters, ownerName, currentYear) {
+    const range = yearRange(filters, currentYear);
+    const minCitations = filters.minCitations || 0;
+
+    return publications.filter((publication) => {
+      if (range.from || range.to) {
+        if (!publication.year) return false;
+        if (range.from && publication.year < range.from) return false;
+        if (range.to && publication.year > range.to) return false;
+      }
+
+      if (filters.type && filters.type !== "all") {
+        const type = VENUE_TYPES.includes(publication.venueType)
+          ? publication.venueType
+          : "other";
+        if (type !== filters.type) return false;
+      }
+
+      if ((publication.citations || 0) < minCitations) return false;
+
+      if (filters.authorRole && filters.authorRole !== "any") {
+        const position = findAuthorPosition(publication.authors, ownerName);
+        if (!matchesAuthorRole(position, filters.authorRole)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  // Short description of the active filters, e.g.
+  // "first or last author, 2020 onwards, conferences"
+  function describeFilters(filters, currentYear) {
+    const parts = [];
+    const roles = {
+      first: "first author",
+      last: "last author",
+      first_or_last: "first or last author",
+    };
+    if (roles[filters.authorRole]) parts.push(roles[filters.authorRole]);
+
+    const range = yearRange(filters, currentYear);
+    if (filters.lastYears) {
+      parts.push(`last ${filters.lastYears} years`);
+    } else if (range.from && range.to) {
+      parts.push(`${range.from}–${range.to}`);
+    } else if (range.from) {
+      parts.push(`${range.from} onwards`);
+    } else if (range.to) {
+      parts.push(`up to ${range.to}`);
+    }
+
+    const types = {
+      conference: "conferences",
+      journal: "journals",
+      preprint: "preprints",
+      other: "other venue types",
+    };
+    if (types[filters.type]) parts.push(types[filters.type]);
+
+    if (filters.minCitations > 0) {
+      parts.push(`${filters.minCitations}+ citations`);
+    }
+    return parts.join(", ");
+  }
+
+  const PublicationFilters = {
+    DEFAULT_FILTERS,
+    isActive,
+    parseAuthors,
+    matchesOwner,
+    findAuthorPosition,
+    filterPublications,
+    describeFilters,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = PublicationFilters;
+  } else {
+    root.PublicationFilters = PublicationFilters;
+  }
+})(typeof self !== "undefined" ? self : this);
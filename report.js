@@ -0,0 +1,335 @@
+document.addEventListener("DOMContentLoaded", function () {
+  // The popup opens report.html?key=<storage key of the analysis>
+  const storageKey = new URLSearchParams(window.location.search).get("key");
+
+  document.getElementById("print-btn").addEventListener("click", function () {
+    window.print();
+  });
+
+  loadReport();
+
+  // Function to load the stored analysis; nothing is scraped again
+  async function loadReport() {
+    if (!storageKey) {
+      showError("No analysis was selected. Open the report from the popup.");
+      return;
+    }
+
+    try {
+      const analysis = await AnalysisHistory.loadSnapshot(storageKey);
+      if (!analysis || !analysis.venues) {
+        showError(
+          "This analysis is no longer stored. Analyze the profile again and reopen the report."
+        );
+        return;
+      }
+      displayReport(analysis);
+    } catch (error) {
+      console.error("❌ Failed to load the report:", error);
+      showError("Could not load the analysis for this report.");
+    }
+  }
+
+  function showError(message) {
+    const errorDiv = document.getElementById("error");
+    errorDiv.textContent = message;
+    errorDiv.style.display = "block";
+  }
+
+  // Function to fill every section of the report
+  function displayReport(analysis) {
+    const profile = analysis.profile || {};
+    const name = profile.name || profile.userId || "Scholar profile";
+
+    // Browsers suggest the title as the file name of "Save as PDF"
+    document.title = `Publication venues - ${name}`;
+
+    displayHeader(analysis, name);
+    displaySummary(analysis);
+    displayVenueRanking(analysis.venues);
+    displayCategories(analysis);
+    displayYears(analysis);
+    displayUnmatched(analysis.publications || []);
+
+    const extensionName = chrome.runtime.getManifest().name;
+    document.getElementById(
+      "report-footer"
+    ).textContent = `Generated ${new Date().toLocaleString()} by ${extensionName} from the publication list of Google Scholar. Venue names are normalized with the extension's venue mapping.`;
+    document.getElementById("report").style.display = "block";
+  }
+
+  // Function to show who the report is about and when it was analyzed
+  function displayHeader(analysis, name) {
+    const profile = analysis.profile || {};
+    document.getElementById("profile-name").textContent = name;
+
+    const meta = document.getElementById("profile-meta");
+    meta.innerHTML = "";
+    meta.appendChild(
+      document.createTextNode(
+        analysis.savedAt
+          ? `Analyzed ${new Date(analysis.savedAt).toLocaleString()}`
+          : "Analysis of the profile"
+      )
+    );
+    if (profile.url) {
+      meta.appendChild(document.createTextNode(" · "));
+      const link = document.createElement("a");
+      link.href = profile.url;
+      link.textContent = "Google Scholar profile";
+      meta.appendChild(link);
+    }
+    if (profile.userId) {
+      meta.appendChild(document.createTextNode(` (${profile.userId})`));
+    }
+  }
+
+  // Function to show the headline numbers, research profile and warnings
+  function displaySummary(analysis) {
+    const venues = analysis.venues || [];
+    const topTier = analysis.topTier || { total: 0, lastFiveYears: 0 };
+    const totalCitations = venues.reduce(
+      (sum, item) => sum + (item.totalCitations || 0),
+      0
+    );
+
+    const stats = [
+      ["Publications found", analysis.totalFound || 0],
+      ["With venue information", analysis.totalProcessed || 0],
+      ["Unique venues", venues.length],
+      [
+        `Top-tier papers (${topTier.lastFiveYears} in the last 5 years)`,
+        topTier.total,
+      ],
+      ["Citations across venues", totalCitations.toLocaleString()],
+      ["Without venue information", analysis.totalSkipped || 0],
+      [
+        "Preprints merged with their published version",
+        (analysis.duplicates || []).length,
+      ],
+    ];
+    if (analysis.totalEnriched > 0) {
+      stats.push(["Completed from citation pages", analysis.totalEnriched]);
+    }
+
+    const grid = document.getElementById("summary-stats");
+    grid.innerHTML = "";
+    stats.forEach(([label, value]) => {
+      const stat = document.createElement("div");
+      stat.className = "stat";
+
+      const valueDiv = document.createElement("div");
+      valueDiv.className = "stat-value";
+      valueDiv.textContent = value;
+
+      const labelDiv = document.createElement("div");
+      labelDiv.className = "stat-label";
+      labelDiv.textContent = label;
+
+      stat.appendChild(valueDiv);
+      stat.appendChild(labelDiv);
+      grid.appendChild(stat);
+    });
+
+    // Same one-line research profile as the popup
+    const areaSummary = (analysis.categories || [])
+      .filter((item) => item.category && item.share >= 0.1)
+      .slice(0, 3)
+      .map((item) => `${Math.round(item.share * 100)}% ${item.name}`)
+      .join(", ");
+    document.getElementById("summary-line").textContent = areaSummary
+      ? `Research profile: ${areaSummary}`
+      : "";
+
+    const warningsDiv = document.getElementById("report-warnings");
+    warningsDiv.innerHTML = "";
+    (analysis.warnings || []).forEach((text) => {
+      const warning = document.createElement("div");
+      warning.className = "warning";
+      warning.textContent = `⚠️ ${text}`;
+      warningsDiv.appendChild(warning);
+    });
+  }
+
+  // Function to build a table from column definitions and rows of values
+  // columns: [{ title, className }]; rows: [[cell value]]
+  function fillTable(table, columns, rows) {
+    table.innerHTML = "";
+
+    const thead = document.createElement("thead");
+    const headerRow = document.createElement("tr");
+    columns.forEach((column) => {
+      const th = document.createElement("th");
+      if (column.className) th.className = column.className;
+      th.textContent = column.title;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement("tbody");
+    rows.forEach((values) => {
+      const row = document.createElement("tr");
+      values.forEach((value, index) => {
+        const td = document.createElement("td");
+        if (columns[index].className) td.className = columns[index].className;
+        td.textContent = value === null || value === undefined ? "" : value;
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+  }
+
+  // Function to list every venue in ranking order
+  function displayVenueRanking(venues) {
+    fillTable(
+      document.getElementById("venue-table"),
+      [
+        { title: "#", className: "number" },
+        { title: "Venue" },
+        { title: "Research area", className: "muted" },
+        { title: "Tier" },
+        { title: "Papers", className: "number" },
+        { title: "Cites", className: "number" },
+        { title: "Median", className: "number" },
+        { title: "h-index", className: "number" },
+        { title: "Years", className: "number" },
+        { title: "Most cited paper", className: "muted" },
+      ],
+      venues.map((item, index) => {
+        const years = Object.keys(item.years || {})
+          .map(Number)
+          .sort((a, b) => a - b);
+        const yearRange =
+          years.length === 0
+            ? ""
+            : years[0] === years[years.length - 1]
+            ? `${years[0]}`
+            : `${years[0]}–${years[years.length - 1]}`;
+        const mostCited = item.mostCitedPaper;
+
+        return [
+          index + 1,
+          item.venue,
+          item.categoryName || "Uncategorized",
+          item.tier || "–",
+          item.count,
+          item.totalCitations || 0,
+          item.medianCitations || 0,
+          item.hIndex || 0,
+          yearRange,
+          mostCited && mostCited.title
+            ? `${mostCited.title} (${mostCited.citations})`
+            : "",
+        ];
+      })
+    );
+  }
+
+  // Function to show the research area donut and its table
+  function displayCategories(analysis) {
+    const categories = analysis.categories || [];
+    document.getElementById("category-chart").innerHTML =
+      categories.length > 0 ? AnalysisCharts.categoryDonut(analysis) : "";
+
+    fillTable(
+      document.getElementById("category-table"),
+      [
+        { title: "Research area" },
+        { title: "Venues", className: "number" },
+        { title: "Papers", className: "number" },
+        { title: "Share", className: "number" },
+      ],
+      categories.map((item) => [
+        item.name,
+        item.venueCount,
+        item.count,
+        `${(item.share * 100).toFixed(1)}%`,
+      ])
+    );
+  }
+
+  // Function to show the per-year chart and a table of papers and venues
+  // per year, most recent first
+  function displayYears(analysis) {
+    const timeline = analysis.timeline || [];
+    document.getElementById("year-chart").innerHTML =
+      timeline.length > 0 ? AnalysisCharts.yearStackedChart(analysis) : "";
+
+    const topPerYear = {};
+    (analysis.publications || []).forEach((publication) => {
+      if (publication.top && publication.year) {
+        topPerYear[publication.year] = (topPerYear[publication.year] || 0) + 1;
+      }
+    });
+
+    fillTable(
+      document.getElementById("year-table"),
+      [
+        { title: "Year" },
+        { title: "Papers", className: "number" },
+        { title: "Top-tier", className: "number" },
+        { title: "Venues", className: "muted" },
+      ],
+      timeline
+        .slice()
+        .reverse()
+        .map((entry) => [
+          entry.year,
+          entry.count,
+          topPerYear[entry.year] || 0,
+          entry.venues
+            .map((venue) => `${venue.venue} (${venue.count})`)
+            .join(", "),
+        ])
+    );
+  }
+
+  // Function to list venues missing from the mapping and papers without
+  // any venue, so a reader can judge what the counts leave out
+  function displayUnmatched(publications) {
+    const unmatched = VenueAggregation.groupUnmatchedVenues(publications);
+    const unmatchedTable = document.getElementById("unmatched-table");
+    if (unmatched.length > 0) {
+      fillTable(
+        unmatchedTable,
+        [
+          { title: "Venue" },
+          { title: "Papers", className: "number" },
+          { title: "As written on Scholar", className: "muted" },
+        ],
+        unmatched.map((entry) => [
+          entry.venue,
+          entry.count,
+          entry.examples.join(" · "),
+        ])
+      );
+      unmatchedTable.style.display = "table";
+    } else {
+      unmatchedTable.style.display = "none";
+    }
+
+    const skipped = publications.filter((publication) => !publication.venue);
+    const skippedList = document.getElementById("skipped-list");
+    skippedList.innerHTML = "";
+    skipped.forEach((publication) => {
+      const item = document.createElement("li");
+      item.textContent = publication.year
+        ? `${publication.title} (${publication.year})`
+        : publication.title;
+      skippedList.appendChild(item);
+    });
+    document.getElementById("skipped-heading").style.display =
+      skipped.length > 0 ? "block" : "none";
+
+    // Analyses saved before per-paper data was stored have nothing to list
+    const emptyNote = document.getElementById("unmatched-empty");
+    emptyNote.textContent =
+      publications.length === 0
+        ? "This analysis was saved without per-paper data."
+        : "Every venue of this profile is in the venue mapping.";
+    emptyNote.style.display =
+      unmatched.length === 0 && skipped.length === 0 ? "block" : "none";
+  }
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// Measure venue normalization throughput on a synthetic Scholar corpus
+// Usage: node scripts/benchmark-normalizer.js [rows]
+const { performance } = require("perf_hooks");
+const VenueNormalizer = require("../venue-normalizer.js");
+const venueMapping = require("../venue-mapping.json");
+const corpus = require("../tests/fixtures/venue-corpus.json");
+
+const rowCount = parseInt(process.argv[2], 10) || 10000;
+
+// Small deterministic PRNG so every run uses the same corpus
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+// Vary volume, pages and year the way Scholar rows do, so only part of the
+// corpus repeats exactly
+function buildCorpus(size) {
+  const bases = corpus.cases
+    .map((entry) => entry.input.replace(/(,\s*[\d-]+)*,\s*\d{4}$/, ""))
+    .filter((text) => text.length > 0);
+
+  const rows = [];
+  for (let i = 0; i < size; i++) {
+    const base = bases[Math.floor(random() * bases.length)];
+    const year = 1995 + Math.floor(random() * 30);
+    if (random() < 0.5) {
+      rows.push(`${base}, ${year}`);
+    } else {
+      const page = Math.floor(random() * 2000);
+      rows.push(
+        `${base} ${Math.floor(random() * 40)}, ${page}-${page + 9}, ${year}`
+      );
+    }
+  }
+  return rows;
+}
+
+function measure(label, rows, normalize) {
+  const start = performance.now();
+  let matched = 0;
+  rows.forEach((text) => {
+    if (normalize(text)) matched++;
+  });
+  const elapsed = performance.now() - start;
+  const throughput = Math.round(rows.length / (elapsed / 1000));
+
+  console.log(
+    `${label.padEnd(38)} ${elapsed.toFixed(1).padStart(9)} ms ${throughput
+      .toLocaleString("en-US")
+      .padStart(12)} rows/s  (${matched} normalized)`
+  );
+  return elapsed;
+}
+
+const rows = buildCorpus(rowCount);
+console.log(
+  `📊 ${rows.length.toLocaleString("en-US")} synthetic rows, ${
+    new Set(rows).size
+  } distinct strings\n`
+);
+
+const perRow = measure("Per-row compile (normalizeVenue)", rows, (text) =>
+  VenueNormalizer.normalizeVenue(text, venueMapping)
+);
+
+const matcher = VenueNormalizer.createMatcher(venueMapping);
+const cold = measure("Compiled matcher, cold cache", rows, (text) =>
+  matcher.normalize(text)
+);
+const warm = measure("Compiled matcher, warm cache", rows, (text) =>
+  matcher.normalize(text)
+);
+
+console.log(
+  `\n⚡ Speed-up: ${(perRow / cold).toFixed(1)}x cold, ${(
+    perRow / warm
+  ).toFixed(1)}x warm (${matcher.cacheSize} cached strings)`
+);
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Validate a venue mapping file from the command line
+// Usage: node scripts/validate-mapping.js [path/to/venue-mapping.json] [--strict]
+const fs = require("fs");
+const path = require("path");
+const MappingValidator = require("../mapping-validator.js");
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const filePath = path.resolve(
+  args.find((arg) => !arg.startsWith("--")) ||
+    path.join(__dirname, "..", "venue-mapping.json")
+);
+
+let mapping;
+try {
+  mapping = JSON.parse(fs.readFileSync(filePath, "utf8"));
+} catch (error) {
+  console.error(`❌ Could not read ${filePath}: ${error.message}`);
+  process.exit(1);
+}
+
+const result = MappingValidator.validateMapping(mapping);
+const report = MappingValidator.formatIssues(result);
+if (report) console.log(report);
+
+console.log(
+  `\n${result.valid ? "✅" : "❌"} ${path.basename(filePath)}: ${
+    result.venueCount
+  } venues, ${result.errors.length} errors, ${result.warnings.length} warnings`
+);
+
+// --strict lets CI fail on warnings as well
+if (!result.valid || (strict && result.warnings.length > 0)) {
+  process.exit(1);
+}
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const AnalysisCharts = require("../analysis-charts.js");
+
+const analysis = {
+  venues: [
+    { venue: "CVPR", category: "computer_vision", count: 5 },
+    { venue: "NeurIPS", category: "machine_learning", count: 3 },
+    { venue: "ICCV", category: "computer_vision", count: 2 },
+    { venue: "Tools & <Tricks> Workshop", category: null, count: 1 },
+  ],
+  categories: [
+    { category: "computer_vision", name: "Computer Vision", count: 7 },
+    { category: "machine_learning", name: "Machine Learning", count: 3 },
+    { category: null, name: "Uncategorized", count: 1 },
+  ],
+  timeline: [
+    {
+      year: 2019,
+      count: 3,
+      venues: [
+        { venue: "CVPR", count: 2 },
+        { venue: "NeurIPS", count: 1 },
+      ],
+    },
+    {
+      year: 2021,
+      count: 4,
+      venues: [
+        { venue: "CVPR", count: 2 },
+        { venue: "ICCV", count: 1 },
+        { venue: "Tools & <Tricks> Workshop", count: 1 },
+      ],
+    },
+  ],
+};
+
+function count(svg, pattern) {
+  return (svg.match(pattern) || []).length;
+}
+
+test("per-year series fill empty years and split papers by research area", () => {
+  const { years, series } = AnalysisCharts.yearCategorySeries(analysis);
+
+  assert.deepEqual(years, [2019, 2020, 2021]);
+  assert.deepEqual(
+    series.map((item) => [item.name, item.counts]),
+    [
+      ["Computer Vision", [2, 0, 3]],
+      ["Machine Learning", [1, 0, 0]],
+      ["Uncategorized", [0, 0, 1]],
+    ]
+  );
+});
+
+test("areas beyond the limit are grouped as Other", () => {
+  const { series } = AnalysisCharts.yearCategorySeries(analysis, 1);
+
+  assert.deepEqual(
+    series.map((item) => [item.name, item.counts]),
+    [
+      ["Computer Vision", [2, 0, 3]],
+      ["Other", [1, 0, 1]],
+    ]
+  );
+});
+
+test("each research area keeps its color in every chart", () => {
+  const colorFor = AnalysisCharts.categoryColors(analysis.categories);
+  const vision = colorFor("computer_vision");
+
+  assert.notEqual(vision, colorFor("machine_learning"));
+  assert.equal(colorFor(null), colorFor(undefined));
+  assert.ok(
+    AnalysisCharts.venueBarChart(analysis).includes(`fill="${vision}"`)
+  );
+  assert.ok(
+    AnalysisCharts.categoryDonut(analysis).includes(`fill="${vision}"`)
+  );
+  assert.ok(
+    AnalysisCharts.yearStackedChart(analysis).includes(`fill="${vision}"`)
+  );
+});
+
+test("the venue chart draws one bar per top venue and escapes names", () => {
+  const svg = AnalysisCharts.venueBarChart(analysis, 3);
+
+  assert.ok(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"'));
+  assert.equal(count(svg, /<rect /g), 4); // background and three bars
+  assert.ok(!svg.includes("Workshop"));
+
+  const all = AnalysisCharts.venueBarChart(analysis);
+  assert.ok(all.includes("Tools &amp; &lt;Tricks&gt; Workshop"));
+  assert.ok(!all.includes("<Tricks>"));
+});
+
+test("the donut has one segment per area and a full ring for a single one", () => {
+  const svg = AnalysisCharts.categoryDonut(analysis);
+  assert.equal(count(svg, /<path /g), 3);
+  assert.ok(svg.includes(">11</text>"));
+
+  const single = AnalysisCharts.categoryDonut({
+    categories: [{ category: "robotics", name: "Robotics", count: 4 }],
+  });
+  assert.equal(count(single, /<path /g), 0);
+  assert.equal(count(single, /<circle /g), 1);
+});
+
+test("the per-year chart stacks one rect per area and year with papers", () => {
+  const svg = AnalysisCharts.yearStackedChart(analysis);
+
+  // Background, four stacked parts and three legend keys
+  assert.equal(count(svg, /<rect /g), 8);
+  assert.ok(svg.includes("<title>2020: 0 papers</title>"));
+});
@@ -0,0 +1,216 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const AnalysisExport = require("../analysis-export.js");
+
+function paper(overrides) {
+  return Object.assign(
+    {
+      title: "Deep residual learning",
+      authors: "K He, X Zhang, S Ren, J Sun",
+      venueText: "CVPR 2016",
+      venue: "CVPR",
+      venueType: "conference",
+      category: "computer_vision",
+      tier: "A*",
+      year: 2016,
+      citations: 120,
+    },
+    overrides
+  );
+}
+
+test("quotes CSV fields with commas, quotes and newlines", () => {
+  const csv = AnalysisExport.toPapersCsv({
+    publications: [
+      paper({
+        title: 'Say "hello", world',
+        venueText: "Proc. of X\nvol. 2",
+      }),
+    ],
+  });
+
+  const [header, row] = csv.split("\r\n");
+  assert.equal(
+    header,
+    "title,authors,venueText,venue,category,tier,year,citations"
+  );
+  assert.equal(
+    row,
+    '"Say ""hello"", world","K He, X Zhang, S Ren, J Sun","Proc. of X\nvol. 2",CVPR,computer_vision,A*,2016,120'
+  );
+  assert.ok(csv.endsWith("\r\n"));
+});
+
+test("leaves empty values blank and plain values unquoted", () => {
+  assert.equal(AnalysisExport.csvField(null), "");
+  assert.equal(AnalysisExport.csvField(undefined), "");
+  assert.equal(AnalysisExport.csvField("CVPR"), "CVPR");
+  assert.equal(AnalysisExport.csvField(0), "0");
+});
+
+test("neutralizes cells a spreadsheet would run as formulas", () => {
+  assert.equal(AnalysisExport.csvField("=HYPERLINK(1)"), "'=HYPERLINK(1)");
+  assert.equal(AnalysisExport.csvField("+1 more"), "'+1 more");
+  assert.equal(AnalysisExport.csvField("-foo"), "'-foo");
+  assert.equal(AnalysisExport.csvField("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(AnalysisExport.csvField('=1+"a",2'), `"'=1+""a"",2"`);
+  // Numbers stay numbers
+  assert.equal(AnalysisExport.csvField(-3), "-3");
+});
+
+test("exports venues in ranking order with their most cited paper", () => {
+  const csv = AnalysisExport.toVenuesCsv({
+    venues: [
+      {
+        venue: "CVPR",
+        category: "computer_vision",
+        tier: "A*",
+        count: 2,
+        totalCitations: 130,
+        medianCitations: 65,
+        hIndex: 2,
+        mostCitedPaper: { title: "A, B", citations: 120 },
+      },
+      { venue: "Some Workshop", count: 1, totalCitations: 0 },
+    ],
+  });
+
+  assert.deepEqual(csv.split("\r\n").slice(1), [
+    '1,CVPR,computer_vision,A*,2,130,65,2,"A, B",120',
+    "2,Some Workshop,,,1,0,,,,",
+    "",
+  ]);
+});
+
+test("builds BibTeX entries by venue type", () => {
+  const bibtex = AnalysisExport.toBibtex({
+    publications: [
+      paper({ link: "https://scholar.google.com/x" }),
+      paper({
+        title: "Going deeper",
+        authors: "A Smith, B Jones, ...",
+        venue: "IEEE TPAMI",
+        venueType: "journal",
+        year: 2020,
+      }),
+      paper({ title: "", venue: "ICCV" }),
+    ],
+  });
+
+  assert.equal(
+    bibtex,
+    [
+      "@inproceedings{he2016deep,",
+      "  title = {Deep residual learning},",
+      "  author = {K He and X Zhang and S Ren and J Sun},",
+      "  booktitle = {CVPR},",
+      "  year = {2016},",
+      "  url = {https://scholar.google.com/x}",
+      "}",
+      "",
+      "@article{smith2020going,",
+      "  title = {Going deeper},",
+      "  author = {A Smith and B Jones and others},",
+      "  journal = {IEEE TPAMI},",
+      "  year = {2020}",
+      "}",
+      "",
+    ].join("\n")
+  );
+});
+
+test("disambiguates colliding BibTeX keys with letter suffixes", () => {
+  const bibtex = AnalysisExport.toBibtex({
+    publications: [
+      paper({ title: "Deep learning one" }),
+      paper({ title: "Deep learning two" }),
+      paper({ title: "Deep learning three" }),
+      paper({ title: "Deep learning four", year: 2017 }),
+    ],
+  });
+
+  const keys = Array.from(bibtex.matchAll(/^@\w+\{([^,]+),/gm), (m) => m[1]);
+  assert.deepEqual(keys, [
+    "he2016deep",
+    "he2016deepa",
+    "he2016deepb",
+    "he2017deep",
+  ]);
+});
+
+test("keeps BibTeX key suffixes to letters past z", () => {
+  const bibtex = AnalysisExport.toBibtex({
+    publications: Array.from({ length: 29 }, (_, index) =>
+      paper({ title: `Deep learning ${index}` })
+    ),
+  });
+
+  const keys = Array.from(bibtex.matchAll(/^@\w+\{([^,]+),/gm), (m) => m[1]);
+  assert.deepEqual(keys.slice(25), [
+    "he2016deepy",
+    "he2016deepz",
+    "he2016deepaa",
+    "he2016deepab",
+  ]);
+  assert.ok(keys.every((key) => /^[a-z0-9]+$/.test(key)));
+  assert.equal(new Set(keys).size, 29);
+});
+
+test("escapes BibTeX special characters", () => {
+  const bibtex = AnalysisExport.toBibtex({
+    publications: [
+      paper({
+        title: "50% of {R&D} costs $ #1 in C_1 \\ more",
+        authors: "",
+        venue: null,
+        venueText: "Tech report",
+        venueType: null,
+      }),
+    ],
+  });
+
+  assert.equal(
+    bibtex,
+    [
+      "@misc{anon2016costs,",
+      "  title = {50\\% of \\{R\\&D\\} costs \\$ \\#1 in C\\_1 \\textbackslash{} more},",
+      "  howpublished = {Tech report},",
+      "  year = {2016}",
+      "}",
+      "",
+    ].join("\n")
+  );
+});
+
+test("reports batch profiles with their failure or save error", () => {
+  const csv = AnalysisExport.toBatchReportCsv({
+    items: [
+      {
+        name: "Ada",
+        userId: "a1",
+        url: "https://scholar.google.com/citations?user=a1",
+        status: "done",
+        error: null,
+        saveError: "Not saved to the history: QUOTA_BYTES quota exceeded",
+        totalFound: 12,
+        uniqueVenues: 4,
+        topTierPapers: 2,
+        topVenues: ["CVPR (5)", "ICCV (3)"],
+      },
+      {
+        userId: "b2",
+        url: "https://scholar.google.com/citations?user=b2",
+        status: "error",
+        error: "Timed out",
+      },
+    ],
+  });
+
+  assert.deepEqual(csv.split("\r\n"), [
+    "name,userId,url,status,error,saveError,totalFound,uniqueVenues,topTierPapers,topVenues",
+    "Ada,a1,https://scholar.google.com/citations?user=a1,done,,Not saved to the history: QUOTA_BYTES quota exceeded,12,4,2,CVPR (5); ICCV (3)",
+    ",b2,https://scholar.google.com/citations?user=b2,error,Timed out,,,,,",
+    "",
+  ]);
+});
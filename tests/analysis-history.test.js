@@ -0,0 +1,154 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const AnalysisHistory = require("../analysis-history.js");
+
+function paper(id, venue, citations, year) {
+  return {
+    title: `Paper ${id}`,
+    link: `https://scholar.google.com/citations?view_op=view_citation&hl=en&user=abc&citation_for_view=abc:${id}`,
+    venue: venue,
+    year: year || 2020,
+    citations: citations,
+  };
+}
+
+test("identifies papers by citation id, falling back to title and year", () => {
+  assert.equal(AnalysisHistory.paperKey(paper("x1", "CVPR", 0)), "abc:x1");
+  assert.equal(
+    AnalysisHistory.paperKey({ title: "Deep Nets: A Survey", year: 2019 }),
+    "deep nets a survey|2019"
+  );
+});
+
+test("diffs papers, venues and citations between two snapshots", () => {
+  const older = {
+    publications: [
+      paper("a", "CVPR", 10),
+      paper("b", "CVPR", 5),
+      paper("c", "TPAMI", 2),
+      paper("d", "BMVC", 1),
+    ],
+  };
+  const newer = {
+    publications: [
+      paper("a", "CVPR", 25),
+      paper("b", "CVPR", 5),
+      paper("c", "TPAMI", 3),
+      paper("e", "CVPR", 0, 2024),
+      paper("f", "NeurIPS", 1, 2023),
+    ],
+  };
+
+  const diff = AnalysisHistory.diffSnapshots(older, newer);
+
+  assert.deepEqual(
+    diff.newPapers.map((publication) => publication.title),
+    ["Paper e", "Paper f"]
+  );
+  assert.deepEqual(
+    diff.removedPapers.map((publication) => publication.title),
+    ["Paper d"]
+  );
+  assert.deepEqual(diff.venuesGained, [{ venue: "NeurIPS", count: 1 }]);
+  assert.deepEqual(diff.venuesLost, [{ venue: "BMVC", count: 1 }]);
+  assert.deepEqual(diff.venueChanges, [
+    { venue: "CVPR", before: 2, after: 3, delta: 1 },
+  ]);
+  assert.deepEqual(diff.citations, { before: 18, after: 34, delta: 16 });
+  assert.deepEqual(
+    diff.citationGrowth.map((item) => [item.title, item.delta]),
+    [
+      ["Paper a", 15],
+      ["Paper c", 1],
+    ]
+  );
+});
+
+test("identical snapshots have an empty diff", () => {
+  const snapshot = { publications: [paper("a", "CVPR", 3)] };
+  const diff = AnalysisHistory.diffSnapshots(snapshot, snapshot);
+
+  assert.equal(diff.newPapers.length, 0);
+  assert.equal(diff.removedPapers.length, 0);
+  assert.equal(diff.venuesGained.length, 0);
+  assert.equal(diff.venueChanges.length, 0);
+  assert.equal(diff.citationGrowth.length, 0);
+  assert.equal(diff.citations.delta, 0);
+});
+
+// chrome.storage.local kept in memory, rejecting writes that would take it
+// past quotaBytes the way Chrome does
+function useQuotaStorage(quotaBytes) {
+  const data = {};
+  const size = (items) => JSON.stringify(items).length;
+  global.chrome = {
+    storage: {
+      local: {
+        data,
+        // Chrome hands out copies, not the stored objects
+        get: async (key) =>
+          key in data ? JSON.parse(JSON.stringify({ [key]: data[key] })) : {},
+        set: async (items) => {
+          if (size(Object.assign({}, data, items)) > quotaBytes) {
+            throw new Error("QUOTA_BYTES quota exceeded");
+          }
+          Object.assign(data, JSON.parse(JSON.stringify(items)));
+        },
+        remove: async (keys) => {
+          [].concat(keys).forEach((key) => delete data[key]);
+        },
+      },
+    },
+  };
+  return data;
+}
+
+function profileAnalysis(userId, paperCount) {
+  return {
+    profile: { userId, name: `Researcher ${userId}` },
+    totalFound: paperCount,
+    venues: [],
+    publications: Array.from({ length: paperCount }, (_, i) =>
+      paper(`${userId}${i}`, "CVPR", i)
+    ),
+  };
+}
+
+// Snapshot keys contain the save time
+const nextMillisecond = () => new Promise((resolve) => setTimeout(resolve, 2));
+
+test("drops the oldest snapshots when storage is full", async () => {
+  const data = useQuotaStorage(6000);
+
+  const saved = [];
+  for (const userId of ["a", "b", "a", "b", "a"]) {
+    saved.push(await AnalysisHistory.saveSnapshot(profileAnalysis(userId, 8)));
+    await nextMillisecond();
+  }
+
+  const index = data.analysisHistory;
+  // Each profile keeps at least its newest snapshot
+  assert.equal(index.a[0].key, saved[4].key);
+  assert.equal(index.b[0].key, saved[3].key);
+  assert.ok(data[saved[4].key]);
+  assert.ok(data[saved[3].key]);
+  // The first snapshot went to make room, and the index agrees with storage
+  assert.equal(data[saved[0].key], undefined);
+  Object.values(index)
+    .flat()
+    .forEach((entry) => assert.ok(data[entry.key], entry.key));
+});
+
+test("throws the quota error when no older snapshot is left to drop", async () => {
+  const data = useQuotaStorage(3000);
+
+  await AnalysisHistory.saveSnapshot(profileAnalysis("a", 8));
+  await nextMillisecond();
+
+  await assert.rejects(
+    AnalysisHistory.saveSnapshot(profileAnalysis("b", 40)),
+    (error) => AnalysisHistory.isQuotaError(error)
+  );
+  assert.deepEqual(Object.keys(data.analysisHistory), ["a"]);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const BatchJob = require("../batch-job.js");
+
+test("reads one profile URL per line and drops tracking parameters", () => {
+  const { profiles, invalid } = BatchJob.parseProfileUrls(
+    [
+      "https://scholar.google.com/citations?user=AbC123&hl=en&oi=ao",
+      "  scholar.google.co.uk/citations?hl=de&user=xyz_9  ",
+      "",
+    ].join("\n")
+  );
+
+  assert.deepEqual(profiles, [
+    {
+      url: "https://scholar.google.com/citations?user=AbC123&hl=en",
+      userId: "AbC123",
+    },
+    {
+      url: "https://scholar.google.co.uk/citations?user=xyz_9&hl=de",
+      userId: "xyz_9",
+    },
+  ]);
+  assert.deepEqual(invalid, []);
+});
+
+test("finds profile URLs in any CSV column and skips duplicates", () => {
+  const csv = [
+    "name,profile,notes",
+    'Alice,"https://scholar.google.com/citations?user=alice1",advisor',
+    "Bob,https://scholar.google.de/citations?user=bob2&hl=de,",
+    "Alice again,https://scholar.google.com/citations?user=alice1&hl=en,",
+  ].join("\n");
+
+  const { profiles } = BatchJob.parseProfileUrls(csv);
+  assert.deepEqual(
+    profiles.map((profile) => profile.userId),
+    ["alice1", "bob2"]
+  );
+});
+
+test("reports Scholar links that are not profiles", () => {
+  const { profiles, invalid } = BatchJob.parseProfileUrls(
+    [
+      "https://scholar.google.com/scholar?q=venues",
+      "https://scholar.google.com/citations?view_op=view_citation&user=a1&citation_for_view=a1:x",
+      "https://scholar.google.evil.example/citations?user=a1",
+    ].join("\n")
+  );
+
+  assert.equal(profiles.length, 0);
+  assert.equal(invalid.length, 3);
+});
+
+test("creates a pending item per profile", () => {
+  const job = BatchJob.createBatchJob([
+    { url: "https://scholar.google.com/citations?user=a1", userId: "a1" },
+  ]);
+
+  assert.equal(job.status, "running");
+  assert.equal(job.items.length, 1);
+  assert.equal(job.items[0].status, "pending");
+  assert.equal(job.items[0].userId, "a1");
+});
+
+test("summarizes an analysis for the report", () => {
+  const summary = BatchJob.summarizeAnalysis({
+    profile: { name: "Alice", userId: "a1" },
+    totalFound: 42,
+    venues: [
+      { venue: "CVPR", count: 10 },
+      { venue: "ICCV", count: 5 },
+      { venue: "ECCV", count: 4 },
+      { venue: "BMVC", count: 1 },
+    ],
+    topTier: { total: 19, lastFiveYears: 7 },
+  });
+
+  assert.deepEqual(summary, {
+    name: "Alice",
+    totalFound: 42,
+    uniqueVenues: 4,
+    topVenues: ["CVPR (10)", "ICCV (5)", "ECCV (4)"],
+    topTierPapers: 19,
+  });
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CitationDetails = require("../citation-details.js");
+
+const link = (id) =>
+  `https://scholar.google.com/citations?view_op=view_citation&hl=en&user=abc&citation_for_view=abc:${id}`;
+
+test("citation ids are read from the row link", () => {
+  assert.equal(
+    CitationDetails.citationId(link("u5HHmVD_uO8C")),
+    "abc:u5HHmVD_uO8C"
+  );
+  assert.equal(CitationDetails.citationId("https://example.org/paper"), null);
+});
+
+test("skipped rows come first, then truncated ones", () => {
+  const publications = [
+    {
+      link: link("a"),
+      venue: "CVPR",
+      matchSource: "mapping",
+      authors: "A Smith",
+    },
+    {
+      link: link("b"),
+      venue: "CVPR",
+      matchSource: "mapping",
+      authors: "A Smith, B Lee, ...",
+    },
+    { link: link("c"), venue: null, authors: "A Smith" },
+    {
+      link: link("d"),
+      venue: "Proceedings of the Internat...",
+      matchSource: "fallback",
+      venueText: "Proceedings of the Internat...",
+      authors: "A Smith",
+    },
+    { link: "", venue: null, authors: "A Smith" },
+  ];
+
+  assert.deepEqual(
+    CitationDetails.selectForEnrichment(publications),
+    [2, 1, 3]
+  );
+});
+
+test("citation page fields give authors, year and the venue text", () => {
+  const details = CitationDetails.parseCitationFields([
+    {
+      label: "Authors",
+      value: "Alex Krizhevsky, Ilya Sutskever, Geoffrey E Hinton",
+    },
+    { label: "Publication date", value: "2012/12/3" },
+    { label: "Publisher", value: "Curran Associates" },
+    {
+      label: "Conference",
+      value: "Advances in Neural Information Processing Systems",
+    },
+    { label: "Description", value: "We trained a large, deep network..." },
+  ]);
+
+  assert.deepEqual(details, {
+    authors: "Alex Krizhevsky, Ilya Sutskever, Geoffrey E Hinton",
+    year: 2012,
+    venueText: "Advances in Neural Information Processing Systems",
+  });
+});
+
+test("missing fields are null", () => {
+  assert.deepEqual(
+    CitationDetails.parseCitationFields([
+      { label: "Inventors", value: "A Smith" },
+      { label: "Patent office", value: "US" },
+    ]),
+    { authors: "A Smith", year: null, venueText: null }
+  );
+});
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CoauthorAnalysis = require("../coauthor-analysis.js");
+const PublicationFilters = require("../publication-filters.js");
+
+const isOwner = (name) =>
+  PublicationFilters.matchesOwner(name, "Geoffrey Hinton");
+
+const publications = [
+  {
+    authors: "A Krizhevsky, I Sutskever, GE Hinton",
+    venue: "NeurIPS",
+    top: true,
+    year: 2012,
+  },
+  {
+    authors: "I Sutskever, GE Hinton, ...",
+    venue: "NeurIPS",
+    top: true,
+    year: 2014,
+  },
+  {
+    authors: "GE Hinton, I. Sutskever",
+    venue: "ICML",
+    top: true,
+    year: 2013,
+  },
+  { authors: "GE Hinton", venue: "NeurIPS", top: true, year: 2020 },
+  { authors: "GE Hinton, RR Salakhutdinov", venue: null, year: 2006 },
+];
+
+test("co-authors exclude the profile owner and truncation marks", () => {
+  assert.deepEqual(
+    CoauthorAnalysis.listCoauthors(
+      "A Krizhevsky, GE Hinton, I Sutskever, ...",
+      isOwner
+    ),
+    ["A Krizhevsky", "I Sutskever"]
+  );
+});
+
+test("collaborators are ranked with venues and years", () => {
+  const { collaborators } = CoauthorAnalysis.analyzeCoauthors(
+    publications,
+    isOwner
+  );
+
+  assert.deepEqual(
+    collaborators.map((item) => [item.name, item.papers, item.topPapers]),
+    [
+      ["I Sutskever", 3, 3],
+      ["A Krizhevsky", 1, 1],
+      ["RR Salakhutdinov", 1, 0],
+    ]
+  );
+  const sutskever = collaborators[0];
+  assert.deepEqual(sutskever.venues, [
+    { venue: "NeurIPS", count: 2 },
+    { venue: "ICML", count: 1 },
+  ]);
+  assert.equal(sutskever.firstYear, 2012);
+  assert.equal(sutskever.lastYear, 2014);
+});
+
+test("venues report their partners and a dominant collaboration", () => {
+  const { venues } = CoauthorAnalysis.analyzeCoauthors(publications, isOwner);
+  const neurips = venues[0];
+
+  assert.equal(neurips.venue, "NeurIPS");
+  assert.equal(neurips.papers, 3);
+  assert.equal(neurips.soloPapers, 1);
+  assert.deepEqual(neurips.collaborators, [
+    { name: "I Sutskever", count: 2 },
+    { name: "A Krizhevsky", count: 1 },
+  ]);
+  assert.deepEqual(neurips.dominant, { name: "I Sutskever", share: 2 / 3 });
+  assert.equal(venues.length, 2);
+});
+
+test("names completed from citation pages count with Scholar's initials", () => {
+  // The first row was completed from its citation page, the others were not
+  const mixed = [
+    {
+      authors: "Alex Krizhevsky, Ilya Sutskever, Geoffrey E. Hinton",
+      venue: "NeurIPS",
+      top: true,
+      year: 2012,
+    },
+    {
+      authors: "I Sutskever, GE Hinton, ...",
+      venue: "NeurIPS",
+      top: true,
+      year: 2014,
+    },
+    { authors: "GE Hinton, A. Krizhevsky", venue: "ICML", year: 2013 },
+  ];
+  const { collaborators, venues } = CoauthorAnalysis.analyzeCoauthors(
+    mixed,
+    isOwner
+  );
+
+  assert.deepEqual(
+    collaborators.map((item) => [item.name, item.papers]),
+    [
+      ["Alex Krizhevsky", 2],
+      ["Ilya Sutskever", 2],
+    ]
+  );
+  assert.deepEqual(venues[0].collaborators, [
+    { name: "Ilya Sutskever", count: 2 },
+    { name: "Alex Krizhevsky", count: 1 },
+  ]);
+});
@@ -0,0 +1,350 @@
+// End-to-end runs of the content scripts on saved Scholar pages. Nothing
+// is fetched from the network; see tests/helpers/content-script-harness.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createScholarPage,
+  loadFixture,
+} = require("./helpers/content-script-harness.js");
+
+const PROFILE_URL =
+  "https://scholar.google.com/citations?hl=en&user=AbCdEfGhIjK";
+
+// Second page of the profile for cstart=10, the first row not yet shown
+function respondWithSecondPage(url) {
+  if (
+    url.pathname === "/citations" &&
+    url.searchParams.get("cstart") === "10"
+  ) {
+    return loadFixture("scholar-profile-page-2.html");
+  }
+  return null;
+}
+
+function openProfile(options) {
+  const page = createScholarPage({
+    url: PROFILE_URL,
+    html: loadFixture("scholar-profile.html"),
+    respond: respondWithSecondPage,
+    ...options,
+  });
+  page.injectContentScripts();
+  return page;
+}
+
+function venueCounts(analysis) {
+  return Object.fromEntries(
+    analysis.venues.map((item) => [item.venue, item.count])
+  );
+}
+
+test("loads the remaining pages with cstart requests and analyzes every row", async () => {
+  const page = openProfile();
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+
+  assert.equal(analysis.success, true);
+  assert.deepEqual(page.requests, [
+    "https://scholar.google.com/citations?hl=en&user=AbCdEfGhIjK&cstart=10&pagesize=100",
+  ]);
+  assert.equal(page.document.querySelectorAll("tr.gsc_a_tr").length, 15);
+  assert.deepEqual(analysis.warnings, []);
+
+  assert.deepEqual(analysis.profile, {
+    name: "Ada Example",
+    userId: "AbCdEfGhIjK",
+    url: PROFILE_URL,
+  });
+  assert.equal(analysis.totalFound, 15);
+  assert.equal(analysis.totalProcessed, 14);
+  assert.equal(analysis.totalSkipped, 1);
+
+  // The arXiv version of the CVPR 2016 paper counts once, under CVPR
+  assert.deepEqual(analysis.duplicates.length, 1);
+  assert.deepEqual(venueCounts(analysis), {
+    CVPR: 3,
+    NeurIPS: 2,
+    "IEEE TPAMI": 1,
+    ICCV: 1,
+    ECCV: 1,
+    "Workshop on Tiny Robots": 1,
+    ICML: 1,
+    IJCV: 1,
+    arXiv: 1,
+    "US Patents": 1,
+  });
+});
+
+test("reads titles, authors, years, citations and links from the rows", async () => {
+  const page = openProfile();
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+  const [first] = analysis.publications;
+
+  assert.equal(first.title, "Deep residual learning for visual recognition");
+  assert.equal(first.authors, "A Example, B Chen, C Okafor, D Lindqvist");
+  assert.equal(first.venue, "CVPR");
+  assert.equal(first.year, 2016);
+  assert.equal(first.citations, 5120);
+  assert.equal(
+    first.link,
+    "https://scholar.google.com/citations?view_op=view_citation&hl=en&user=AbCdEfGhIjK&citation_for_view=AbCdEfGhIjK:u5HHmVD_uO8C"
+  );
+
+  // Rows appended from the second page keep their data too
+  assert.equal(analysis.publications[12].venue, "IJCV");
+  assert.equal(analysis.publications[12].citations, 1500);
+});
+
+test("keeps rows without a venue line as skipped", async () => {
+  const page = openProfile();
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+  const skipped = analysis.publications.filter((pub) => !pub.venue);
+
+  assert.deepEqual(
+    skipped.map((pub) => [pub.title, pub.venueText, pub.year, pub.citations]),
+    [["A note on warmup schedules for large batch training", "", 2021, 0]]
+  );
+});
+
+test("falls back to the show more button when paged requests fail", async () => {
+  const page = openProfile({ respond: () => ({ status: 503 }) });
+  const showMore = page.simulateShowMore([
+    loadFixture("scholar-profile-page-2.html"),
+  ]);
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+
+  assert.equal(analysis.success, true);
+  assert.equal(showMore.clicks(), 1);
+  assert.equal(page.document.getElementById("gsc_bpf_more").disabled, true);
+  assert.equal(analysis.totalFound, 15);
+  assert.equal(analysis.totalSkipped, 1);
+  assert.deepEqual(analysis.warnings, []);
+});
+
+test("stops with a captcha error when Scholar asks for a robot check", async () => {
+  const page = openProfile({
+    respond: () => ({
+      url: "https://scholar.google.com/sorry/index?continue=https://scholar.google.com/citations",
+      body: "<html><body>Our systems have detected unusual traffic</body></html>",
+    }),
+  });
+  const showMore = page.simulateShowMore([
+    loadFixture("scholar-profile-page-2.html"),
+  ]);
+
+  const response = await page.sendMessage({ action: "analyzeVenues" });
+
+  assert.equal(response.success, false);
+  assert.equal(response.captcha, true);
+  // Clicking through would only hit the same check
+  assert.equal(showMore.clicks(), 0);
+});
+
+test("reports the robot check over the port the batch uses", async () => {
+  const page = openProfile({
+    respond: () => ({
+      url: "https://scholar.google.com/sorry/index?continue=https://scholar.google.com/citations",
+      body: "<html><body>Our systems have detected unusual traffic</body></html>",
+    }),
+  });
+  page.simulateShowMore([loadFixture("scholar-profile-page-2.html")]);
+  const port = page.connect("venue-analysis");
+
+  port.postMessage({ action: "analyzeVenues" });
+  const result = await port.finished();
+
+  assert.equal(result.type, "error");
+  assert.equal(result.captcha, true);
+});
+
+test("warns when a page holds fewer rows than its range names", async () => {
+  const page = openProfile({
+    respond: (url) =>
+      respondWithSecondPage(url).replace(
+        "Articles 11&ndash;15",
+        "Articles 11&ndash;16"
+      ),
+  });
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+
+  assert.deepEqual(analysis.warnings, [
+    "Scholar labelled publications 11–16 but sent 5 rows, so some may be missing.",
+  ]);
+});
+
+test("warns when a page does not start where the loaded rows end", async () => {
+  const page = openProfile({
+    respond: (url) =>
+      respondWithSecondPage(url).replace(
+        "Articles 11&ndash;15",
+        "Articles 21&ndash;25"
+      ),
+  });
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+
+  assert.deepEqual(analysis.warnings, [
+    "Scholar sent publications 21–25 when asked for those from 11, so some may be missing or counted twice.",
+  ]);
+});
+
+test("warns when a page repeats publications already loaded", async () => {
+  // Scholar ignored cstart and sent the first page again
+  const page = openProfile({
+    respond: (url) =>
+      url.searchParams.get("cstart") === "10"
+        ? loadFixture("scholar-profile.html")
+        : null,
+  });
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+
+  assert.deepEqual(analysis.warnings, [
+    "Scholar sent publications 1–10 when asked for those from 11, so some may be missing or counted twice.",
+    "10 publications were loaded more than once and counted each time.",
+  ]);
+});
+
+test("streams progress to the popup over a port", async () => {
+  const page = openProfile();
+  const port = page.connect("venue-analysis");
+
+  port.postMessage({ action: "analyzeVenues" });
+  const result = await port.finished();
+
+  assert.equal(result.type, "result");
+  assert.equal(result.data.totalFound, 15);
+
+  const progress = port.messages.filter(
+    (message) => message.type === "progress"
+  );
+  assert.deepEqual(
+    Array.from(new Set(progress.map((message) => message.phase))),
+    ["loading", "normalizing"]
+  );
+  assert.deepEqual(
+    progress
+      .filter((message) => message.phase === "loading")
+      .map((message) => [message.pagesLoaded, message.rowsFound]),
+    [
+      [0, 10],
+      [1, 15],
+    ]
+  );
+  assert.deepEqual(progress[progress.length - 1].rowsNormalized, 15);
+});
+
+test("resolves skipped rows from citation pages when enrichment is on", async () => {
+  const page = openProfile({
+    storage: { enrichRows: true },
+    respond: (url) => {
+      if (url.searchParams.get("view_op") === "view_citation") {
+        return url.searchParams.get("citation_for_view") ===
+          "AbCdEfGhIjK:W7OEmFMy1HYC"
+          ? loadFixture("scholar-citation.html")
+          : null;
+      }
+      return respondWithSecondPage(url);
+    },
+  });
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+  const enriched = analysis.publications[7];
+
+  assert.equal(analysis.totalSkipped, 0);
+  assert.equal(analysis.totalEnriched, 1);
+  assert.equal(enriched.venue, "ICLR");
+  assert.equal(enriched.authors, "Ada Example, Marta Brandt");
+  assert.equal(enriched.enriched, true);
+  assert.ok(page.storage.citationDetailsCache["AbCdEfGhIjK:W7OEmFMy1HYC"]);
+});
+
+test("renders the in-page panel and row badges when the setting is on", async () => {
+  const page = openProfile({ storage: { inPageResults: true } });
+
+  await page.sendMessage({ action: "analyzeVenues" });
+  await page.settle();
+
+  const panel = page.document.getElementById("sva-panel");
+  assert.ok(panel);
+  assert.equal(
+    panel.parentNode,
+    page.document.getElementById("gsc_prf_w").parentNode
+  );
+  // Every row with a venue gets a badge; the preprint one shows its merge
+  assert.equal(page.document.querySelectorAll(".sva-badge").length, 14);
+  assert.equal(
+    page.document.querySelector(".sva-merged").textContent,
+    "arXiv → CVPR"
+  );
+});
+
+test("shows the saved analysis of the profile after a reload", async () => {
+  const analysis = await openProfile().sendMessage({
+    action: "analyzeVenues",
+  });
+  // Saved in another order than the rows, as after citations changed
+  const key = "analysisSnapshot:AbCdEfGhIjK:2026-01-02T03:04:05.000Z";
+  const saved = Object.assign({}, analysis, {
+    publications: analysis.publications.slice().reverse(),
+    duplicates: [],
+    savedAt: "2026-01-02T03:04:05.000Z",
+  });
+
+  const page = openProfile({
+    storage: {
+      inPageResults: true,
+      analysisHistory: { AbCdEfGhIjK: [{ key, userId: "AbCdEfGhIjK" }] },
+      [key]: saved,
+    },
+  });
+  await page.settle();
+
+  assert.ok(page.document.getElementById("sva-panel"));
+  assert.equal(page.requests.length, 0);
+  // Badges follow the citation id of each row, not its position
+  const rows = page.document.querySelectorAll("tr.gsc_a_tr");
+  assert.equal(
+    rows[2].querySelector(".sva-badge").textContent,
+    "IEEE TPAMI · A*"
+  );
+  assert.equal(
+    rows[6].querySelector(".sva-badge").textContent,
+    "Workshop on Tiny Robots"
+  );
+  assert.equal(rows[7].querySelector(".sva-badge"), null);
+});
+
+test("ignores a second injection into the same page", async () => {
+  const page = openProfile();
+  page.injectContentScripts();
+
+  assert.equal(page.window.scholarAnalyzerRunning, true);
+  assert.equal(page.chrome.runtime.onMessage.listeners.length, 1);
+  assert.equal(page.chrome.runtime.onConnect.listeners.length, 1);
+
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+  assert.equal(analysis.totalFound, 15);
+  assert.equal(page.requests.length, 1);
+});
+
+test("a cancelled analysis unloads so the next injection starts fresh", async () => {
+  const page = openProfile();
+  const port = page.connect("venue-analysis");
+
+  port.postMessage({ action: "analyzeVenues" });
+  port.postMessage({ action: "cancel" });
+
+  assert.deepEqual(await port.finished(), { type: "cancelled" });
+  assert.equal(page.window.scholarAnalyzerRunning, false);
+  assert.equal(page.chrome.runtime.onMessage.listeners.length, 0);
+
+  page.injectContentScripts();
+  const analysis = await page.sendMessage({ action: "analyzeVenues" });
+  assert.equal(analysis.totalFound, 15);
+});
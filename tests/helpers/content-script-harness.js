@@ -0,0 +1,285 @@
+// Runs the content scripts against a saved Scholar page, fully offline.
+// Every script listed in manifest.json is evaluated in one VM context that
+// plays the tab: a jsdom window built from the fixture, a chrome.* stub with
+// an in-memory storage, and a fetch that serves extension files from the repo
+// and Scholar pages from the test's respond(url) callback
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+const EXTENSION_URL = "chrome-extension://scholar-venue-analyzer/";
+
+// Pauses between Scholar requests are real in the extension; here they are
+// shortened so a test run takes milliseconds
+const MAX_TIMER_DELAY_MS = 5;
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(ROOT, "tests", "fixtures", name), "utf8");
+}
+
+// Messages cross the extension boundary as JSON, which also gives the tests
+// plain objects instead of objects from the VM's realm
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (listener) => listeners.push(listener),
+    removeListener: (listener) => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+  };
+}
+
+// jsdom has no layout, so offsetParent is always null. Treat an element as
+// rendered unless it or an ancestor is hidden with display: none or the
+// hidden attribute, which is what the content script checks it for
+function emulateOffsetParent(window) {
+  Object.defineProperty(window.HTMLElement.prototype, "offsetParent", {
+    configurable: true,
+    get() {
+      for (
+        let node = this;
+        node && node.nodeType === 1;
+        node = node.parentNode
+      ) {
+        if (node.style.display === "none" || node.hasAttribute("hidden")) {
+          return null;
+        }
+      }
+      return this.parentNode;
+    },
+  });
+}
+
+function createResponse(url, status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    url,
+    text: async () => body,
+    json: async () => JSON.parse(body),
+  };
+}
+
+function createStorageArea(initial, onChanged) {
+  const data = clone(initial || {});
+
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return clone(data);
+      const defaults =
+        typeof keys === "string"
+          ? { [keys]: undefined }
+          : Array.isArray(keys)
+          ? Object.fromEntries(keys.map((key) => [key, undefined]))
+          : keys;
+      const result = {};
+      Object.entries(defaults).forEach(([key, fallback]) => {
+        const value = key in data ? data[key] : fallback;
+        if (value !== undefined) result[key] = clone(value);
+      });
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: clone(value) };
+        data[key] = clone(value);
+      });
+      onChanged.listeners.forEach((listener) => listener(changes, "local"));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((key) => delete data[key]);
+    },
+  };
+}
+
+// Open a Scholar page in a fake tab
+// options: {
+//   url: the page URL,
+//   html: the page source, usually a fixture,
+//   storage: initial chrome.storage.local contents,
+//   respond(url): answer for a request to Scholar, given as a URL object;
+//     an HTML string, { status, url, body }, or null for a 404
+// }
+function createScholarPage(options) {
+  const dom = new JSDOM(options.html, {
+    url: options.url,
+    runScripts: "outside-only",
+  });
+  const window = dom.window;
+  const document = window.document;
+  const requests = [];
+  const logs = [];
+  emulateOffsetParent(window);
+
+  const onStorageChanged = createEvent();
+  const storage = createStorageArea(options.storage, onStorageChanged);
+  const chrome = {
+    runtime: {
+      id: "scholar-venue-analyzer",
+      getURL: (file) => EXTENSION_URL + file,
+      onMessage: createEvent(),
+      onConnect: createEvent(),
+    },
+    storage: { local: storage, onChanged: onStorageChanged },
+  };
+
+  async function fetch(resource) {
+    const url = new URL(String(resource), options.url);
+    if (url.href.startsWith(EXTENSION_URL)) {
+      const file = path.join(ROOT, url.href.slice(EXTENSION_URL.length));
+      return createResponse(url.href, 200, fs.readFileSync(file, "utf8"));
+    }
+
+    requests.push(url.href);
+    const answer = options.respond ? await options.respond(url) : null;
+    if (answer === null || answer === undefined) {
+      return createResponse(url.href, 404, "");
+    }
+    if (typeof answer === "string") {
+      return createResponse(url.href, 200, answer);
+    }
+    return createResponse(
+      answer.url || url.href,
+      answer.status || 200,
+      answer.body || ""
+    );
+  }
+
+  const record =
+    (level) =>
+    (...args) =>
+      logs.push({ level, message: args.map(String).join(" ") });
+
+  window.chrome = chrome;
+  window.fetch = fetch;
+  window.console = {
+    log: record("log"),
+    info: record("info"),
+    debug: record("debug"),
+    warn: record("warn"),
+    error: record("error"),
+  };
+  const setWindowTimeout = window.setTimeout.bind(window);
+  window.setTimeout = (callback, delay) =>
+    setWindowTimeout(callback, Math.min(delay || 0, MAX_TIMER_DELAY_MS));
+  const context = dom.getInternalVMContext();
+
+  // Evaluate the content scripts in the order the manifest injects them
+  function injectContentScripts() {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8")
+    );
+    manifest.content_scripts[0].js.forEach((file) => {
+      new vm.Script(fs.readFileSync(path.join(ROOT, file), "utf8"), {
+        filename: file,
+      }).runInContext(context);
+    });
+  }
+
+  // One-off message, as sent by the batch analysis in the background
+  function sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.onMessage.listeners
+        .slice()
+        .forEach((listener) =>
+          listener(clone(message), {}, (response) => resolve(clone(response)))
+        );
+    });
+  }
+
+  // Long-lived port, as opened by the popup. finished() resolves with the
+  // first message that is not a progress update
+  function connect(name) {
+    const received = [];
+    let settle = null;
+    const finished = new Promise((resolve) => {
+      settle = resolve;
+    });
+
+    const port = {
+      name,
+      onMessage: createEvent(),
+      onDisconnect: createEvent(),
+      postMessage: (message) => {
+        const copy = clone(message);
+        received.push(copy);
+        if (copy.type !== "progress") settle(copy);
+      },
+    };
+    chrome.runtime.onConnect.listeners
+      .slice()
+      .forEach((listener) => listener(port));
+
+    return {
+      messages: received,
+      finished: () => finished,
+      postMessage: (message) =>
+        port.onMessage.listeners
+          .slice()
+          .forEach((listener) => listener(clone(message))),
+      disconnect: () =>
+        port.onDisconnect.listeners.slice().forEach((listener) => listener()),
+    };
+  }
+
+  // Make Scholar's "Show more" button append the rows of the given pages,
+  // one page per click, the way the live page does after its request
+  // returns. The button is disabled as on the page that was loaded last
+  function simulateShowMore(pages) {
+    const remaining = pages.slice();
+    const button = document.getElementById("gsc_bpf_more");
+    let clicks = 0;
+
+    button.addEventListener("click", function () {
+      clicks++;
+      const html = remaining.shift();
+      if (!html) return;
+
+      setTimeout(() => {
+        const page = new window.DOMParser().parseFromString(html, "text/html");
+        const tableBody = document.getElementById("gsc_a_b");
+        page.querySelectorAll("#gsc_a_b tr.gsc_a_tr").forEach((row) => {
+          tableBody.appendChild(document.importNode(row, true));
+        });
+        document.getElementById("gsc_a_nn").textContent =
+          page.getElementById("gsc_a_nn").textContent;
+        button.disabled = page.getElementById("gsc_bpf_more").disabled;
+      }, 0);
+    });
+
+    return { clicks: () => clicks };
+  }
+
+  // Let pending callbacks run, e.g. the in-page panel that renders after
+  // the analysis has been answered
+  function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 20));
+  }
+
+  return {
+    window,
+    document,
+    chrome,
+    storage: storage.data,
+    requests,
+    logs,
+    injectContentScripts,
+    sendMessage,
+    connect,
+    simulateShowMore,
+    settle,
+  };
+}
+
+module.exports = { createScholarPage, loadFixture };
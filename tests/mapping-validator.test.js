@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const MappingValidator = require("../mapping-validator.js");
+const venueMapping = require("../venue-mapping.json");
+
+test("the bundled mapping has no errors", () => {
+  const result = MappingValidator.validateMapping(venueMapping);
+  assert.deepEqual(result.errors, []);
+  assert.ok(result.venueCount > 50);
+});
+
+test("reports invalid regular expressions with their path", () => {
+  const result = MappingValidator.validateMapping({
+    categories: {
+      vision: {
+        display_name: "Vision",
+        venues: { CVPR: { type: "conference", patterns: ["cvpr("] } },
+      },
+    },
+    preprocessing: { remove_patterns: ["[0-9"] },
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(
+    result.errors.map((issue) => issue.path),
+    [
+      "preprocessing.remove_patterns[0]",
+      "categories.vision.venues.CVPR.patterns[0]",
+    ]
+  );
+});
+
+test("reports schema problems", () => {
+  const result = MappingValidator.validateMapping({
+    categories: {
+      vision: { venues: { CVPR: { patterns: [] }, ICCV: "iccv" } },
+    },
+  });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(
+    result.errors.map((issue) => issue.path),
+    ["categories.vision.venues.CVPR.patterns", "categories.vision.venues.ICCV"]
+  );
+  assert.deepEqual(
+    result.warnings.map((issue) => issue.path),
+    ["categories.vision.display_name"]
+  );
+});
+
+test("checks tier settings and venue tiers", () => {
+  const result = MappingValidator.validateMapping({
+    tiers: { order: ["A*", "A", "B"], top: ["A*", "S"] },
+    categories: {
+      vision: {
+        display_name: "Vision",
+        venues: {
+          CVPR: { tier: "A*", patterns: ["cvpr"] },
+          ICCV: { tier: 1, patterns: ["iccv"] },
+          ECCV: { tier: "Q1", top_venue: "yes", patterns: ["eccv"] },
+        },
+      },
+    },
+  });
+
+  assert.deepEqual(
+    result.errors.map((issue) => issue.path),
+    [
+      "categories.vision.venues.ICCV.tier",
+      "categories.vision.venues.ECCV.top_venue",
+    ]
+  );
+  assert.deepEqual(
+    result.warnings.map((issue) => issue.path),
+    ["tiers.top", "categories.vision.venues.ECCV.tier"]
+  );
+});
+
+test("flags shadowed and unreachable venues", () => {
+  const result = MappingValidator.validateMapping({
+    categories: {
+      nlp: {
+        display_name: "NLP",
+        venues: {
+          ACL: { patterns: ["computational linguistics"] },
+          COLING: {
+            full_name: "Conference on Computational Linguistics",
+            patterns: ["conference on computational linguistics"],
+          },
+          NAACL: {
+            full_name: "North American Chapter of the ACL",
+            patterns: [
+              "naacl",
+              "north american chapter.*?computational linguistics",
+            ],
+          },
+        },
+      },
+    },
+  });
+
+  assert.equal(result.valid, true);
+  const messages = Object.fromEntries(
+    result.warnings.map((issue) => [issue.path, issue.message])
+  );
+  assert.match(messages["categories.nlp.venues.COLING"], /^unreachable/);
+  assert.match(
+    messages["categories.nlp.venues.NAACL"],
+    /^partly shadowed by ACL/
+  );
+});
+
+test("turns simple patterns into sample strings", () => {
+  assert.equal(
+    MappingValidator.samplePattern("cvf.*?winter conference"),
+    "cvf winter conference"
+  );
+  assert.equal(
+    MappingValidator.samplePattern("\\d{4}.*?ieee conference"),
+    "2020 ieee conference"
+  );
+  assert.equal(MappingValidator.samplePattern("(?<!na)acl(?!\\w)"), null);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PreprintDedup = require("../preprint-dedup.js");
+
+const publications = [
+  {
+    title: "Deep Residual Learning for Image Recognition",
+    venue: "CVPR",
+    venueType: "conference",
+    year: 2016,
+    citations: 100,
+  },
+  {
+    title: "Deep residual learning for image recognition",
+    venue: "arXiv",
+    venueType: "preprint",
+    year: 2015,
+    citations: 20,
+  },
+  {
+    title: "An Unrelated Preprint About Graphs",
+    venue: "arXiv",
+    venueType: "preprint",
+    year: 2016,
+    citations: 3,
+  },
+  {
+    title: "Deep Residual Learning for Image Recognition",
+    venue: "arXiv",
+    venueType: "preprint",
+    year: 2010,
+    citations: 1,
+  },
+];
+
+test("title similarity ignores case and punctuation", () => {
+  assert.equal(
+    PreprintDedup.titleSimilarity(
+      "Attention Is All You Need",
+      "Attention is all you need."
+    ),
+    1
+  );
+  assert.ok(
+    PreprintDedup.titleSimilarity(
+      "Attention Is All You Need",
+      "Attention Is Not All You Need"
+    ) < PreprintDedup.SIMILARITY_THRESHOLD
+  );
+});
+
+test("preprints pair with a published paper of a similar title and year", () => {
+  const duplicates = PreprintDedup.findDuplicates(publications);
+
+  // The 2010 copy is too far from the 2016 publication to be the same work
+  assert.deepEqual(duplicates, [{ preprint: 1, published: 0, similarity: 1 }]);
+});
+
+test("merging drops the preprint and adds its citations", () => {
+  const duplicates = PreprintDedup.findDuplicates(publications);
+  const merged = PreprintDedup.mergeDuplicates(publications, duplicates);
+
+  assert.deepEqual(
+    merged.map((publication) => [publication.venue, publication.citations]),
+    [
+      ["CVPR", 120],
+      ["arXiv", 3],
+      ["arXiv", 1],
+    ]
+  );
+  // The input is left untouched for the raw counts view
+  assert.equal(publications[0].citations, 100);
+  assert.equal(PreprintDedup.mergeDuplicates(publications, []).length, 4);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ProfileComparison = require("../profile-comparison.js");
+
+const alice = {
+  profile: { name: "Alice", userId: "alice1" },
+  savedAt: "2026-01-01T00:00:00.000Z",
+  venues: [
+    {
+      venue: "CVPR",
+      category: "computer_vision",
+      categoryName: "Vision",
+      count: 6,
+    },
+    {
+      venue: "NeurIPS",
+      category: "machine_learning",
+      categoryName: "ML",
+      count: 2,
+    },
+  ],
+  categories: [
+    { category: "computer_vision", name: "Vision", count: 6 },
+    { category: "machine_learning", name: "ML", count: 2 },
+  ],
+};
+
+const bob = {
+  profile: { name: "Bob", userId: "bob2" },
+  venues: [
+    {
+      venue: "NeurIPS",
+      category: "machine_learning",
+      categoryName: "ML",
+      count: 3,
+    },
+    {
+      venue: "Foo Symposium",
+      category: null,
+      categoryName: "Uncategorized",
+      count: 1,
+    },
+  ],
+  categories: [
+    { category: "machine_learning", name: "ML", count: 3 },
+    { category: null, name: "Uncategorized", count: 1 },
+  ],
+};
+
+test("lists researchers in the order given with their paper totals", () => {
+  const comparison = ProfileComparison.buildComparison([alice, bob]);
+  assert.deepEqual(comparison.profiles, [
+    {
+      userId: "alice1",
+      name: "Alice",
+      savedAt: "2026-01-01T00:00:00.000Z",
+      totalPapers: 8,
+    },
+    { userId: "bob2", name: "Bob", savedAt: null, totalPapers: 4 },
+  ]);
+});
+
+test("builds venue rows with counts and shares per researcher", () => {
+  const { venues } = ProfileComparison.buildComparison([alice, bob]);
+
+  assert.deepEqual(
+    venues.map((row) => [row.venue, row.total]),
+    [
+      ["CVPR", 6],
+      ["NeurIPS", 5],
+      ["Foo Symposium", 1],
+    ]
+  );
+  assert.deepEqual(venues[1].cells, [
+    { count: 2, share: 0.25 },
+    { count: 3, share: 0.75 },
+  ]);
+  assert.deepEqual(venues[0].cells[1], { count: 0, share: 0 });
+});
+
+test("totals research areas per researcher", () => {
+  const { categories } = ProfileComparison.buildComparison([alice, bob]);
+
+  assert.deepEqual(
+    categories.map((row) => [row.name, row.cells.map((item) => item.count)]),
+    [
+      ["Vision", [6, 0]],
+      ["ML", [2, 3]],
+      ["Uncategorized", [0, 1]],
+    ]
+  );
+});
@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PublicationFilters = require("../publication-filters.js");
+
+const publications = [
+  {
+    title: "First author conference paper",
+    authors: "GE Hinton, A Krizhevsky",
+    venueType: "conference",
+    year: 2022,
+    citations: 40,
+  },
+  {
+    title: "Last author journal paper",
+    authors: "A Krizhevsky, I Sutskever, GE Hinton",
+    venueType: "journal",
+    year: 2019,
+    citations: 5,
+  },
+  {
+    title: "Middle author preprint",
+    authors: "A Krizhevsky, G Hinton, I Sutskever",
+    venueType: "preprint",
+    year: 2024,
+    citations: 0,
+  },
+  {
+    title: "Truncated author list",
+    authors: "I Sutskever, A Krizhevsky, GE Hinton, ...",
+    venueType: null,
+    year: null,
+    citations: 12,
+  },
+];
+
+function titles(filters, currentYear) {
+  return PublicationFilters.filterPublications(
+    publications,
+    Object.assign({}, PublicationFilters.DEFAULT_FILTERS, filters),
+    "Geoffrey E. Hinton",
+    currentYear || 2024
+  ).map((publication) => publication.title);
+}
+
+test("default filters keep every publication and are inactive", () => {
+  assert.equal(titles({}).length, 4);
+  assert.equal(
+    PublicationFilters.isActive(PublicationFilters.DEFAULT_FILTERS),
+    false
+  );
+  assert.equal(PublicationFilters.isActive({ minCitations: 10 }), true);
+});
+
+test("profile names match Scholar's initials and surname format", () => {
+  assert.equal(
+    PublicationFilters.matchesOwner("GE Hinton", "Geoffrey Hinton"),
+    true
+  );
+  assert.equal(
+    PublicationFilters.matchesOwner("G Hinton", "Geoffrey E. Hinton"),
+    true
+  );
+  assert.equal(
+    PublicationFilters.matchesOwner("R Hinton", "Geoffrey Hinton"),
+    false
+  );
+  assert.equal(
+    PublicationFilters.matchesOwner("M Jégou", "Hervé Jegou"),
+    false
+  );
+  assert.equal(PublicationFilters.matchesOwner("H Jégou", "Hervé Jegou"), true);
+});
+
+test("author position accounts for sole authors and truncated lists", () => {
+  const position = (authors) =>
+    PublicationFilters.findAuthorPosition(authors, "Geoffrey Hinton");
+
+  assert.equal(position("GE Hinton"), "sole");
+  assert.equal(position("GE Hinton, A Krizhevsky"), "first");
+  assert.equal(position("A Krizhevsky, GE Hinton"), "last");
+  assert.equal(position("A Krizhevsky, GE Hinton, ..."), "middle");
+  assert.equal(position("A Krizhevsky, I Sutskever"), null);
+});
+
+test("author role filter keeps first, last or either", () => {
+  assert.deepEqual(titles({ authorRole: "first" }), [
+    "First author conference paper",
+  ]);
+  assert.deepEqual(titles({ authorRole: "last" }), [
+    "Last author journal paper",
+  ]);
+  assert.deepEqual(titles({ authorRole: "first_or_last" }), [
+    "First author conference paper",
+    "Last author journal paper",
+  ]);
+});
+
+test("year filters drop papers without a year", () => {
+  assert.deepEqual(titles({ fromYear: 2020 }), [
+    "First author conference paper",
+    "Middle author preprint",
+  ]);
+  assert.deepEqual(titles({ fromYear: 2018, toYear: 2022 }), [
+    "First author conference paper",
+    "Last author journal paper",
+  ]);
+  // Last 3 years of 2024 are 2022 to 2024, and override the explicit range
+  assert.deepEqual(titles({ lastYears: 3, fromYear: 2000 }), [
+    "First author conference paper",
+    "Middle author preprint",
+  ]);
+});
+
+test("type and citation filters", () => {
+  assert.deepEqual(titles({ type: "journal" }), ["Last author journal paper"]);
+  assert.deepEqual(titles({ type: "other" }), ["Truncated author list"]);
+  assert.deepEqual(titles({ minCitations: 10 }), [
+    "First author conference paper",
+    "Truncated author list",
+  ]);
+});
+
+test("active filters are described in one line", () => {
+  assert.equal(
+    PublicationFilters.describeFilters(
+      Object.assign({}, PublicationFilters.DEFAULT_FILTERS, {
+        authorRole: "first",
+        fromYear: 2020,
+        type: "conference",
+        minCitations: 5,
+      })
+    ),
+    "first author, 2020 onwards, conferences, 5+ citations"
+  );
+});
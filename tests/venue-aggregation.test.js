@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const VenueAggregation = require("../venue-aggregation.js");
+
+const options = {
+  categoryNames: { computer_vision: "Vision", machine_learning: "ML" },
+  tierOrder: ["A*", "A", "B"],
+};
+
+function paper(venue, category, tier, year, citations) {
+  return {
+    title: `${venue} ${year} ${citations}`,
+    venue,
+    category,
+    tier,
+    top: tier === "A*",
+    year,
+    citations,
+  };
+}
+
+const publications = [
+  paper("CVPR", "computer_vision", "A*", 2024, 10),
+  paper("CVPR", "computer_vision", "A*", 2020, 4),
+  paper("CVPR", "computer_vision", "A*", 2024, 1),
+  paper("ICIP", "computer_vision", "B", 2022, 3),
+  paper("NeurIPS", "machine_learning", "A*", 2015, 50),
+  paper("Some Workshop", null, null, null, 0),
+  { title: "No venue", venue: null, year: 2023, citations: 7 },
+];
+
+test("venues are counted and sorted with citation statistics", () => {
+  const result = VenueAggregation.aggregateVenues(publications, options);
+
+  assert.deepEqual(
+    result.venues.map((item) => [item.venue, item.count]),
+    [
+      ["CVPR", 3],
+      ["ICIP", 1],
+      ["NeurIPS", 1],
+      ["Some Workshop", 1],
+    ]
+  );
+
+  const cvpr = result.venues[0];
+  assert.equal(cvpr.categoryName, "Vision");
+  assert.deepEqual(cvpr.years, { 2024: 2, 2020: 1 });
+  assert.equal(cvpr.totalCitations, 15);
+  assert.equal(cvpr.medianCitations, 4);
+  assert.equal(cvpr.hIndex, 2);
+  assert.equal(cvpr.mostCitedPaper.citations, 10);
+  assert.equal(result.venues[3].categoryName, "Uncategorized");
+});
+
+test("timeline, research areas and tiers are tallied", () => {
+  const result = VenueAggregation.aggregateVenues(publications, options);
+
+  assert.deepEqual(
+    result.timeline.map((item) => [item.year, item.count]),
+    [
+      [2015, 1],
+      [2020, 1],
+      [2022, 1],
+      [2024, 2],
+    ]
+  );
+  assert.deepEqual(
+    result.categories.map((item) => [item.name, item.count, item.share]),
+    [
+      ["Vision", 4, 4 / 6],
+      ["ML", 1, 1 / 6],
+      ["Uncategorized", 1, 1 / 6],
+    ]
+  );
+  assert.deepEqual(result.tiers, [
+    { tier: "A*", count: 4, venueCount: 2 },
+    { tier: "B", count: 1, venueCount: 1 },
+    { tier: null, count: 1, venueCount: 1 },
+  ]);
+});
+
+test("top-tier papers are counted overall and in the last five years", () => {
+  assert.deepEqual(VenueAggregation.countTopTierPapers(publications, 2024), {
+    total: 4,
+    lastFiveYears: 3,
+  });
+});
+
+test("unmatched venues are grouped by their fallback name", () => {
+  const unmatched = VenueAggregation.groupUnmatchedVenues([
+    {
+      venue: "Tiny Robots",
+      matchSource: "fallback",
+      venueText: "Proc. Tiny Robots, 12-19",
+    },
+    { venue: "CVPR", matchSource: "mapping", venueText: "CVPR" },
+    {
+      venue: "Tiny Robots",
+      matchSource: "fallback",
+      venueText: "Tiny Robots 2021",
+    },
+    {
+      venue: "Tiny Robots",
+      matchSource: "fallback",
+      venueText: "Tiny Robots 2021",
+    },
+    {
+      venue: "Field Notes",
+      matchSource: "fallback",
+      venueText: "Field Notes 3",
+    },
+    { venue: null, venueText: "" },
+  ]);
+
+  assert.deepEqual(unmatched, [
+    {
+      venue: "Tiny Robots",
+      count: 3,
+      examples: ["Proc. Tiny Robots, 12-19", "Tiny Robots 2021"],
+    },
+    { venue: "Field Notes", count: 1, examples: ["Field Notes 3"] },
+  ]);
+});
+
+test("reads category names and tier order from a mapping", () => {
+  assert.deepEqual(
+    VenueAggregation.mappingOptions({
+      categories: {
+        computer_vision: { display_name: "Computer Vision", venues: {} },
+        robotics: { venues: {} },
+      },
+      tiers: { order: ["A*", "A"], top: ["A*"] },
+    }),
+    {
+      categoryNames: {
+        computer_vision: "Computer Vision",
+        robotics: "robotics",
+      },
+      tierOrder: ["A*", "A"],
+    }
+  );
+  assert.deepEqual(VenueAggregation.mappingOptions({}), {
+    categoryNames: {},
+    tierOrder: [],
+  });
+});
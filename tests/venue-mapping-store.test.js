@@ -0,0 +1,173 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const VenueMappingStore = require("../venue-mapping-store.js");
+
+const bundled = {
+  meta: { version: "1.0" },
+  preprocessing: { skip_short_venues: 3, remove_patterns: ["\\d{4}"] },
+  tiers: { order: ["A*", "A"], top: ["A*"] },
+  categories: {
+    computer_vision: {
+      display_name: "Computer Vision",
+      venues: {
+        CVPR: { patterns: ["cvpr"], type: "conference", tier: "A*" },
+        MIDL: { patterns: ["midl"], type: "conference" },
+      },
+    },
+    machine_learning: {
+      display_name: "Machine Learning",
+      venues: { ICML: { patterns: ["icml"], type: "conference", tier: "A*" } },
+    },
+  },
+};
+
+// Storage holding the given custom mapping entry, and the bundled mapping
+// served to fetch
+function stubExtension(customEntry) {
+  global.chrome = {
+    runtime: { getURL: (path) => `chrome-extension://test/${path}` },
+    storage: {
+      local: {
+        get: async (key) =>
+          customEntry === undefined ? {} : { [key]: customEntry },
+      },
+    },
+  };
+  global.fetch = async () => ({ json: async () => bundled });
+}
+
+test("custom venues replace bundled ones and move between categories", () => {
+  const merged = VenueMappingStore.mergeMappings(bundled, {
+    categories: {
+      machine_learning: {
+        venues: { CVPR: { patterns: ["cvpr|cvf"], type: "conference" } },
+      },
+      medical_imaging: {
+        display_name: "Medical Imaging",
+        venues: { MIDL: { patterns: ["medical imaging with deep learning"] } },
+      },
+    },
+  });
+
+  assert.deepEqual(Object.keys(merged.categories.computer_vision.venues), []);
+  assert.deepEqual(merged.categories.machine_learning.venues.CVPR, {
+    patterns: ["cvpr|cvf"],
+    type: "conference",
+  });
+  assert.equal(
+    merged.categories.machine_learning.display_name,
+    "Machine Learning"
+  );
+  assert.equal(
+    merged.categories.medical_imaging.display_name,
+    "Medical Imaging"
+  );
+  assert.deepEqual(Object.keys(merged.categories.medical_imaging.venues), [
+    "MIDL",
+  ]);
+  // The base mapping is left untouched
+  assert.ok(bundled.categories.computer_vision.venues.CVPR);
+});
+
+test("custom settings override bundled ones key by key", () => {
+  const merged = VenueMappingStore.mergeMappings(bundled, {
+    preprocessing: { skip_short_venues: 5 },
+    tiers: { top: ["A*", "A"] },
+    meta: { author: "me" },
+  });
+
+  assert.deepEqual(merged.preprocessing, {
+    skip_short_venues: 5,
+    remove_patterns: ["\\d{4}"],
+  });
+  assert.deepEqual(merged.tiers, { order: ["A*", "A"], top: ["A*", "A"] });
+  assert.deepEqual(merged.meta, { version: "1.0", author: "me" });
+});
+
+test("ignores the parts of a custom mapping that are not objects", () => {
+  assert.deepEqual(VenueMappingStore.mergeMappings(bundled, null), bundled);
+  assert.deepEqual(VenueMappingStore.mergeMappings(bundled, "oops"), bundled);
+  assert.deepEqual(
+    VenueMappingStore.mergeMappings(bundled, {
+      categories: ["computer_vision"],
+      preprocessing: "none",
+      tiers: null,
+    }),
+    bundled
+  );
+
+  const merged = VenueMappingStore.mergeMappings(bundled, {
+    categories: {
+      robotics: "not a category",
+      computer_vision: { venues: { ICCV: null, ECCV: ["eccv"] } },
+    },
+  });
+  assert.equal(merged.categories.robotics, undefined);
+  assert.deepEqual(Object.keys(merged.categories.computer_vision.venues), [
+    "CVPR",
+    "MIDL",
+  ]);
+});
+
+test("only mappings with a categories object count as mappings", () => {
+  assert.equal(VenueMappingStore.hasCategories(bundled), true);
+  assert.equal(VenueMappingStore.hasCategories({ categories: {} }), true);
+  for (const mapping of [
+    null,
+    [],
+    "{}",
+    {},
+    { categories: null },
+    { categories: [] },
+    { categories: "vision" },
+  ]) {
+    assert.equal(
+      VenueMappingStore.hasCategories(mapping),
+      false,
+      JSON.stringify(mapping)
+    );
+  }
+});
+
+test("uses the bundled mapping when nothing custom is stored", async () => {
+  stubExtension(undefined);
+  assert.deepEqual(await VenueMappingStore.loadEffectiveMapping(), bundled);
+});
+
+test("merges or replaces according to the stored mode", async () => {
+  const custom = {
+    categories: {
+      medical_imaging: { venues: { MIDL: { patterns: ["midl"] } } },
+    },
+  };
+
+  stubExtension({ mode: "merge", mapping: custom });
+  const merged = await VenueMappingStore.loadEffectiveMapping();
+  assert.deepEqual(Object.keys(merged.categories), [
+    "computer_vision",
+    "machine_learning",
+    "medical_imaging",
+  ]);
+
+  stubExtension({ mode: "replace", mapping: custom });
+  assert.deepEqual(await VenueMappingStore.loadEffectiveMapping(), custom);
+});
+
+test("falls back to the bundled mapping for invalid stored mappings", async () => {
+  for (const entry of [
+    { mode: "merge", mapping: null },
+    { mode: "merge", mapping: [] },
+    { mode: "replace", mapping: "{}" },
+    { mode: "replace", mapping: { categories: [] } },
+    { mode: "replace", mapping: { categories: null } },
+    { mode: "replace", mapping: { preprocessing: {} } },
+  ]) {
+    stubExtension(entry);
+    assert.deepEqual(
+      await VenueMappingStore.loadEffectiveMapping(),
+      bundled,
+      JSON.stringify(entry)
+    );
+  }
+});
@@ -0,0 +1,278 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const VenueNormalizer = require("../venue-normalizer.js");
+const venueMapping = require("../venue-mapping.json");
+const corpus = require("./fixtures/venue-corpus.json");
+
+test("normalizes the Scholar venue corpus with the bundled mapping", () => {
+  const failures = corpus.cases
+    .map(({ input, expected }) => {
+      const match = VenueNormalizer.normalizeVenue(input, venueMapping);
+      return { input, expected, actual: match ? match.venue : null };
+    })
+    .filter(({ expected, actual }) => expected !== actual);
+
+  // Report every mismatch at once instead of stopping at the first one
+  assert.deepEqual(failures, []);
+});
+
+test("reports category, type, tier and source for mapped venues", () => {
+  assert.deepEqual(
+    VenueNormalizer.normalizeVenue(
+      "Advances in Neural Information Processing Systems 33, 1877-1901, 2020",
+      venueMapping
+    ),
+    {
+      venue: "NeurIPS",
+      category: "machine_learning",
+      type: "conference",
+      tier: "A*",
+      top: true,
+      source: "mapping",
+    }
+  );
+});
+
+test("marks unmatched venues as fallback", () => {
+  const match = VenueNormalizer.normalizeVenue(
+    "Proceedings of the 5th Conference on Robot Learning, 2022",
+    venueMapping
+  );
+  assert.equal(match.venue, "Conference on Robot Learning");
+  assert.equal(match.source, "fallback");
+  assert.equal(match.category, null);
+});
+
+test("adds the workshop suffix to conferences only", () => {
+  assert.equal(
+    VenueNormalizer.normalizeVenue("CVPR Workshops, 2021", venueMapping).venue,
+    "CVPR Workshop"
+  );
+  assert.equal(
+    VenueNormalizer.normalizeVenue(
+      "IEEE Transactions on Image Processing, workshop issue",
+      venueMapping
+    ).venue,
+    "IEEE TIP"
+  );
+});
+
+test("tries user rules before the mapping", () => {
+  const mapping = Object.assign({}, venueMapping, {
+    user_rules: [
+      {
+        pattern: "medical imaging with deep learning",
+        venue: "MIDL",
+        category: "medical_imaging",
+        type: "conference",
+      },
+      { pattern: "cvpr", venue: "My CVPR", category: null, type: null },
+    ],
+  });
+
+  assert.deepEqual(
+    VenueNormalizer.normalizeVenue(
+      "Medical Imaging with Deep Learning, 2021",
+      mapping
+    ),
+    {
+      venue: "MIDL",
+      category: "medical_imaging",
+      type: "conference",
+      tier: null,
+      top: false,
+      source: "user",
+    }
+  );
+  assert.equal(
+    VenueNormalizer.normalizeVenue("CVPR, 2023", mapping).venue,
+    "My CVPR"
+  );
+});
+
+test("review queue rules do not capture longer mapped venues", () => {
+  const pattern = VenueNormalizer.userRulePattern(
+    ["Neural Networks 121, 2020", "Neural Networks", "Neural Networks (NN)"],
+    venueMapping
+  );
+  const mapping = Object.assign({}, venueMapping, {
+    user_rules: [{ pattern, venue: "Neural Networks (Elsevier)" }],
+  });
+
+  assert.equal(
+    VenueNormalizer.normalizeVenue("Neural Networks 98, 1-12, 2018", mapping)
+      .venue,
+    "Neural Networks (Elsevier)"
+  );
+  assert.equal(
+    VenueNormalizer.normalizeVenue("Neural Networks (NN)", mapping).venue,
+    "Neural Networks (Elsevier)"
+  );
+  assert.deepEqual(
+    VenueNormalizer.normalizeVenue(
+      "IEEE Transactions on Neural Networks and Learning Systems 31 (5), 2020",
+      mapping
+    ),
+    VenueNormalizer.normalizeVenue(
+      "IEEE Transactions on Neural Networks and Learning Systems 31 (5), 2020",
+      venueMapping
+    )
+  );
+});
+
+test("patterns with backreferences keep their own group numbers", () => {
+  const mapping = {
+    categories: {
+      misc: {
+        venues: {
+          Echo: {
+            patterns: ["(echo|ping) conference", "^(\\w+) \\1 workshop$"],
+          },
+        },
+      },
+    },
+  };
+
+  assert.equal(
+    VenueNormalizer.normalizeVenue("Ping Conference", mapping).venue,
+    "Echo"
+  );
+  assert.equal(
+    VenueNormalizer.normalizeVenue("Bora Bora Workshop", mapping).venue,
+    "Echo"
+  );
+  assert.equal(
+    VenueNormalizer.normalizeVenue("Bora Bali Workshop", mapping).source,
+    "fallback"
+  );
+});
+
+test("workshops do not inherit the tier of their conference", () => {
+  const match = VenueNormalizer.normalizeVenue(
+    "CVPR Workshops, 2021",
+    venueMapping
+  );
+  assert.equal(match.tier, null);
+  assert.equal(match.top, false);
+});
+
+test("top_venue overrides the tier based top flag", () => {
+  const mapping = {
+    tiers: { order: ["A*", "A", "B"], top: ["A*"] },
+    categories: {
+      journals: {
+        venues: {
+          "IEEE Access": {
+            type: "journal",
+            tier: "B",
+            top_venue: true,
+            patterns: ["ieee access"],
+          },
+          ICIP: {
+            type: "conference",
+            tier: "A*",
+            top_venue: false,
+            patterns: ["icip"],
+          },
+          TPAMI: { type: "journal", tier: "A*", patterns: ["tpami"] },
+        },
+      },
+    },
+  };
+
+  assert.equal(
+    VenueNormalizer.normalizeVenue("IEEE Access 8", mapping).top,
+    true
+  );
+  assert.equal(VenueNormalizer.normalizeVenue("ICIP 2020", mapping).top, false);
+  assert.equal(VenueNormalizer.normalizeVenue("TPAMI", mapping).top, true);
+});
+
+test("skips empty, short and generic venue text", () => {
+  assert.equal(VenueNormalizer.normalizeVenue("", venueMapping), null);
+  assert.equal(VenueNormalizer.normalizeVenue("2020", venueMapping), null);
+  assert.equal(VenueNormalizer.normalizeVenue("The, 2018", venueMapping), null);
+  assert.equal(VenueNormalizer.normalizeVenue("CVPR", null), null);
+});
+
+test("strips years, volumes and pages during preprocessing", () => {
+  assert.equal(
+    VenueNormalizer.preprocessVenueText(
+      "Pattern Recognition 77, 354-377, 2018",
+      venueMapping
+    ),
+    "Pattern Recognition"
+  );
+  assert.equal(
+    VenueNormalizer.preprocessVenueText(
+      "Nature 521 (7553), 436-444, 2015",
+      venueMapping
+    ),
+    "Nature"
+  );
+});
+
+test("cleans fallback venue names", () => {
+  assert.equal(
+    VenueNormalizer.cleanFallbackVenue(
+      "Proceedings of the 12th Workshop on Foo. Bar",
+      3
+    ),
+    "Workshop on Foo"
+  );
+  assert.equal(VenueNormalizer.cleanFallbackVenue("The AI, 2019", 3), null);
+});
+
+test("compiled matcher agrees with normalizeVenue and caches repeats", () => {
+  const matcher = VenueNormalizer.createMatcher(venueMapping);
+
+  corpus.cases.forEach(({ input }) => {
+    assert.deepEqual(
+      matcher.normalize(input),
+      VenueNormalizer.normalizeVenue(input, venueMapping)
+    );
+  });
+
+  const first = matcher.normalize("CVPR, 2023");
+  const sizeBefore = matcher.cacheSize;
+  assert.equal(matcher.normalize("CVPR, 2023"), first);
+  assert.equal(matcher.cacheSize, sizeBefore);
+});
+
+test("skips invalid patterns instead of throwing", () => {
+  const matcher = VenueNormalizer.createMatcher({
+    categories: {
+      vision: {
+        venues: {
+          Broken: { type: "conference", patterns: ["broken("] },
+          CVPR: { type: "conference", patterns: ["cvpr", "[oops"] },
+        },
+      },
+    },
+  });
+
+  assert.equal(matcher.normalize("CVPR 2023").venue, "CVPR");
+  assert.equal(matcher.normalize("broken( venue").source, "fallback");
+});
+
+test("turns a match into the venue fields of a publication", () => {
+  const matcher = VenueNormalizer.createMatcher(venueMapping);
+
+  assert.deepEqual(VenueNormalizer.venueFields(matcher.normalize("CVPR")), {
+    venue: "CVPR",
+    category: "computer_vision",
+    venueType: "conference",
+    tier: "A*",
+    top: true,
+    matchSource: "mapping",
+  });
+  assert.deepEqual(VenueNormalizer.venueFields(null), {
+    venue: null,
+    category: null,
+    venueType: null,
+    tier: null,
+    top: false,
+    matchSource: null,
+  });
+});
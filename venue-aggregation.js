@@ -0,0 +1,219 @@
+// Aggregation of normalized publications into venue, year, research area and
+// tier tallies. Pure functions, no DOM access, so the content script and the
+// popup (which recomputes them for filtered publications) share one
+// implementation that also runs under Node for tests
+(function (root) {
+  // Compute citation statistics for the papers of a single venue
+  function computeCitationStats(papers) {
+    const counts = papers.map((paper) => paper.citations).sort((a, b) => b - a);
+
+    const totalCitations = counts.reduce((sum, n) => sum + n, 0);
+
+    const middle = Math.floor(counts.length / 2);
+    const medianCitations =
+      counts.length % 2 === 0
+        ? (counts[middle - 1] + counts[middle]) / 2
+        : counts[middle];
+
+    // h-index: largest h such that h papers have at least h citations
+    let hIndex = 0;
+    while (hIndex < counts.length && counts[hIndex] >= hIndex + 1) {
+      hIndex++;
+    }
+
+    const mostCited = papers.reduce((best, paper) =>
+      paper.citations > best.citations ? paper : best
+    );
+
+    return {
+      totalCitations,
+      medianCitations,
+      hIndex,
+      mostCitedPaper: {
+        title: mostCited.title,
+        citations: mostCited.citations,
+      },
+    };
+  }
+
+  // Papers and venues per tier, in the order of tierOrder with unranked
+  // venues last
+  function aggregateTiers(venueArray, tierOrder) {
+    const order = tierOrder || [];
+    const tiers = {};
+
+    venueArray.forEach((item) => {
+      const id = item.tier || "unranked";
+      if (!tiers[id]) {
+        tiers[id] = { tier: item.tier || null, count: 0, venueCount: 0 };
+      }
+      tiers[id].count += item.count;
+      tiers[id].venueCount++;
+    });
+
+    // Tiers missing from the order go after the known ones, unranked last
+    const rank = (tier) => {
+      if (tier === null) return order.length + 1;
+      const index = order.indexOf(tier);
+      return index === -1 ? order.length : index;
+    };
+    return Object.values(tiers).sort((a, b) => rank(a.tier) - rank(b.tier));
+  }
+
+  // Papers in top venues overall and in the last five calendar years
+  function countTopTierPapers(publications, currentYear) {
+    const firstRecentYear = (currentYear || new Date().getFullYear()) - 4;
+    const topPapers = publications.filter((publication) => publication.top);
+
+    return {
+      total: topPapers.length,
+      lastFiveYears: topPapers.filter(
+        (publication) => publication.year && publication.year >= firstRecentYear
+      ).length,
+    };
+  }
+
+  // Group normalized publications into venue and per-year tallies
+  // options: { categoryNames: { categoryKey: displayName }, tierOrder: [tier] }
+  // Returns { venues, timeline, categories, tiers, topTier }
+  function aggregateVenues(publications, options) {
+    const categoryNames = (options && options.categoryNames) || {};
+    const getCategoryName = (categoryKey) =>
+      categoryKey ? categoryNames[categoryKey] || categoryKey : "Uncategorized";
+
+    const venues = {};
+    const years = {};
+
+    publications.forEach((publication) => {
+      const venue = publication.venue;
+      if (!venue) return;
+
+      if (!venues[venue]) {
+        venues[venue] = { count: 0, years: {}, papers: [] };
+      }
+      venues[venue].count++;
+      venues[venue].papers.push(publication);
+
+      const year = publication.year;
+      if (year) {
+        venues[venue].years[year] = (venues[venue].years[year] || 0) + 1;
+
+        if (!years[year]) years[year] = {};
+        years[year][venue] = (years[year][venue] || 0) + 1;
+      }
+    });
+
+    // Convert to array and sort by count
+    const venueArray = Object.entries(venues)
+      .map(([venue, data]) => ({
+        venue,
+        category: data.papers[0].category,
+        categoryName: getCategoryName(data.papers[0].category),
+        tier: data.papers[0].tier,
+        top: data.papers[0].top,
+        count: data.count,
+        years: data.years,
+        ...computeCitationStats(data.papers),
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    // Build per-year timeline, oldest year first
+    const timeline = Object.entries(years)
+      .map(([year, yearVenues]) => ({
+        year: Number(year),
+        count: Object.values(yearVenues).reduce((sum, n) => sum + n, 0),
+        venues: Object.entries(yearVenues)
+          .map(([venue, count]) => ({ venue, count }))
+          .sort((a, b) => b.count - a.count),
+      }))
+      .sort((a, b) => a.year - b.year);
+
+    // Tally research areas; venues without a category are "Uncategorized"
+    const categories = {};
+    let categorizedTotal = 0;
+    venueArray.forEach((item) => {
+      const key = item.category || null;
+      const id = key || "uncategorized";
+      if (!categories[id]) {
+        categories[id] = {
+          category: key,
+          name: item.categoryName,
+          count: 0,
+          venueCount: 0,
+        };
+      }
+      categories[id].count += item.count;
+      categories[id].venueCount++;
+      categorizedTotal += item.count;
+    });
+
+    const categoryArray = Object.values(categories)
+      .map((item) => ({
+        ...item,
+        share: categorizedTotal > 0 ? item.count / categorizedTotal : 0,
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      venues: venueArray,
+      timeline: timeline,
+      categories: categoryArray,
+      tiers: aggregateTiers(venueArray, options && options.tierOrder),
+      topTier: countTopTierPapers(publications),
+    };
+  }
+
+  // Venues that are not in the mapping, named by the fallback cleanup of
+  // Scholar's text. Returns [{ venue, count, examples: [venueText] }], most
+  // papers first
+  function groupUnmatchedVenues(publications) {
+    const groups = {};
+
+    publications
+      .filter((publication) => publication.matchSource === "fallback")
+      .forEach((publication) => {
+        if (!groups[publication.venue]) {
+          groups[publication.venue] = {
+            venue: publication.venue,
+            count: 0,
+            examples: [],
+          };
+        }
+        const group = groups[publication.venue];
+        group.count++;
+        if (!group.examples.includes(publication.venueText)) {
+          group.examples.push(publication.venueText);
+        }
+      });
+
+    return Object.values(groups).sort((a, b) => b.count - a.count);
+  }
+
+  // Category display names and tier order of a venue mapping, in the form
+  // aggregateVenues takes them
+  function mappingOptions(mapping) {
+    const categoryNames = {};
+    Object.entries(mapping.categories || {}).forEach(([key, category]) => {
+      categoryNames[key] = category.display_name || key;
+    });
+    return {
+      categoryNames: categoryNames,
+      tierOrder: (mapping.tiers && mapping.tiers.order) || [],
+    };
+  }
+
+  const VenueAggregation = {
+    aggregateVenues,
+    mappingOptions,
+    aggregateTiers,
+    countTopTierPapers,
+    computeCitationStats,
+    groupUnmatchedVenues,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = VenueAggregation;
+  } else {
+    root.VenueAggregation = VenueAggregation;
+  }
+})(typeof self !== "undefined" ? self : this);
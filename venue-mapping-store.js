@@ -0,0 +1,130 @@
+// Loads, stores and merges the bundled venue mapping with the user's custom one
+// Shared by the content script, popup and options page; mergeMappings also
+// runs under Node for tests
+(function (root) {
+  // Content scripts can be injected more than once per page
+  if (root.VenueMappingStore) return;
+
+  const STORAGE_KEY = "customVenueMapping";
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // Whether a custom mapping has the "categories" object every mapping needs.
+  // null and arrays are rejected too, as typeof reports them as objects
+  function hasCategories(mapping) {
+    return isPlainObject(mapping) && isPlainObject(mapping.categories);
+  }
+
+  // Fetch the read-only mapping shipped with the extension
+  async function loadBundledMapping() {
+    const response = await fetch(chrome.runtime.getURL("venue-mapping.json"));
+    return response.json();
+  }
+
+  // Read the custom mapping saved from the options page, if any
+  // Returns { mode: "merge" | "replace", mapping, updatedAt } or null
+  async function loadCustomMapping() {
+    const stored = await chrome.storage.local.get(STORAGE_KEY);
+    return stored[STORAGE_KEY] || null;
+  }
+
+  async function saveCustomMapping(mapping, mode) {
+    await chrome.storage.local.set({
+      [STORAGE_KEY]: {
+        mode: mode === "replace" ? "replace" : "merge",
+        mapping: mapping,
+        updatedAt: new Date().toISOString(),
+      },
+    });
+  }
+
+  async function clearCustomMapping() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+  }
+
+  // Overlay a custom mapping on top of a base mapping
+  // Custom venues replace bundled venues with the same key; new categories
+  // and venues are added; preprocessing, workshop and tier settings are overridden
+  // key by key. Parts of the custom mapping that are not objects are ignored
+  function mergeMappings(base, custom) {
+    const merged = JSON.parse(JSON.stringify(base));
+    if (!isPlainObject(custom)) return merged;
+
+    merged.categories = merged.categories || {};
+    const customCategories = isPlainObject(custom.categories)
+      ? custom.categories
+      : {};
+    Object.entries(customCategories).forEach(([categoryKey, category]) => {
+      if (!isPlainObject(category)) return;
+      if (!merged.categories[categoryKey]) {
+        merged.categories[categoryKey] = { venues: {} };
+      }
+      const target = merged.categories[categoryKey];
+
+      if (category.display_name) {
+        target.display_name = category.display_name;
+      }
+
+      target.venues = target.venues || {};
+      const venues = isPlainObject(category.venues) ? category.venues : {};
+      Object.entries(venues).forEach(([venueKey, venue]) => {
+        if (!isPlainObject(venue)) return;
+        // A venue lives in exactly one category
+        Object.values(merged.categories).forEach((other) => {
+          if (other !== target && other.venues) delete other.venues[venueKey];
+        });
+        target.venues[venueKey] = JSON.parse(JSON.stringify(venue));
+      });
+    });
+
+    ["preprocessing", "workshop_detection", "tiers"].forEach((section) => {
+      if (isPlainObject(custom[section])) {
+        merged[section] = Object.assign({}, merged[section], custom[section]);
+      }
+    });
+
+    if (isPlainObject(custom.meta)) {
+      merged.meta = Object.assign({}, merged.meta, custom.meta);
+    }
+
+    return merged;
+  }
+
+  // Resolve the mapping every analysis should use
+  async function loadEffectiveMapping() {
+    const bundled = await loadBundledMapping();
+    const custom = await loadCustomMapping();
+
+    if (!custom || !isPlainObject(custom.mapping)) return bundled;
+    if (custom.mode === "replace") {
+      // A replacement without categories would leave nothing to match
+      if (!hasCategories(custom.mapping)) {
+        console.warn(
+          "⚠️ Ignoring custom venue mapping without categories; using the bundled one"
+        );
+        return bundled;
+      }
+      return custom.mapping;
+    }
+    return mergeMappings(bundled, custom.mapping);
+  }
+
+  const VenueMappingStore = {
+    STORAGE_KEY,
+    loadBundledMapping,
+    loadCustomMapping,
+    saveCustomMapping,
+    clearCustomMapping,
+    hasCategories,
+    mergeMappings,
+    loadEffectiveMapping,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = VenueMappingStore;
+  } else {
+    root.VenueMappingStore = VenueMappingStore;
+  }
+})(typeof self !== "undefined" ? self : this);
@@ -0,0 +1,318 @@
+// Venue normalization engine: maps raw Google Scholar venue text to a
+// canonical venue using a venue mapping. Pure functions, no DOM access, so it
+// is shared by the content script and runs under Node for tests
+(function (root) {
+  // Build a regex, skipping patterns that do not compile instead of throwing
+  // mid-analysis (scripts/validate-mapping.js reports them)
+  function tryRegExp(pattern, flags) {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      console.warn(`⚠️ Skipping invalid venue pattern /${pattern}/:`, error);
+      return null;
+    }
+  }
+
+  // Backreferences count groups across the whole regex, so "\1" would point
+  // at another pattern's group once patterns are combined; named groups can
+  // clash between patterns too
+  const STANDALONE_PATTERN = /\\[1-9]|\\k<|\(\?<(?![=!])/;
+
+  // Combine patterns into one alternation so each venue costs a single test.
+  // Patterns with backreferences or named groups are compiled on their own
+  function combinePatterns(patterns, flags) {
+    const valid = (patterns || []).filter((pattern) =>
+      tryRegExp(pattern, flags)
+    );
+    const combinable = valid.filter(
+      (pattern) => !STANDALONE_PATTERN.test(pattern)
+    );
+
+    const regexes = valid
+      .filter((pattern) => STANDALONE_PATTERN.test(pattern))
+      .map((pattern) => new RegExp(pattern, flags));
+    if (combinable.length > 0) {
+      regexes.unshift(
+        new RegExp(
+          combinable.map((pattern) => `(?:${pattern})`).join("|"),
+          flags
+        )
+      );
+    }
+
+    if (regexes.length === 0) return null;
+    if (regexes.length === 1) return regexes[0];
+    return { test: (text) => regexes.some((regex) => regex.test(text)) };
+  }
+
+  // Compile every pattern in the mapping once
+  function compileMapping(mapping) {
+    const preprocessing = mapping.preprocessing || {};
+    const workshopDetection = mapping.workshop_detection || {};
+
+    const venues = [];
+    Object.entries(mapping.categories || {}).forEach(
+      ([categoryKey, category]) => {
+        if (!category.venues) return;
+
+        Object.entries(category.venues).forEach(([venueKey, venueConfig]) => {
+          const positive = combinePatterns(venueConfig.patterns, "i");
+          if (!positive) return;
+
+          venues.push({
+            venueKey,
+            categoryKey,
+            venueConfig,
+            positive,
+            negative: combinePatterns(venueConfig.negative_patterns, "i"),
+          });
+        });
+      }
+    );
+
+    return {
+      removePatterns: (preprocessing.remove_patterns || [])
+        .map((pattern) => tryRegExp(pattern, "gi"))
+        .filter(Boolean),
+      minLength: preprocessing.skip_short_venues || 3,
+      genericTerms: combinePatterns(
+        (preprocessing.skip_generic_terms || []).map((term) => `^${term}$`),
+        "i"
+      ),
+      userRules: (mapping.user_rules || [])
+        .map((rule) => ({ rule, regex: tryRegExp(rule.pattern, "i") }))
+        .filter((entry) => entry.regex),
+      workshopPatterns: combinePatterns(workshopDetection.patterns, "i"),
+      workshopSuffix: workshopDetection.suffix || " Workshop",
+      topTiers: (mapping.tiers && mapping.tiers.top) || [],
+      venues,
+    };
+  }
+
+  // A venue counts as top when flagged explicitly or when its tier is listed
+  // in mapping.tiers.top
+  function isTopVenue(venueConfig, compiled) {
+    if (typeof venueConfig.top_venue === "boolean") {
+      return venueConfig.top_venue;
+    }
+    return (
+      Boolean(venueConfig.tier) && compiled.topTiers.includes(venueConfig.tier)
+    );
+  }
+
+  function runPreprocessing(venueText, compiled) {
+    let processedText = venueText;
+
+    // Apply preprocessing patterns from JSON
+    compiled.removePatterns.forEach((regex) => {
+      // Trim after each pass so later "$"-anchored patterns still match
+      processedText = processedText.replace(regex, " ").trim();
+    });
+
+    // Clean up whitespace
+    return processedText.replace(/\s+/g, " ").trim();
+  }
+
+  function isSkipped(processedText, compiled) {
+    if (processedText.length < compiled.minLength) {
+      return true;
+    }
+    return compiled.genericTerms
+      ? compiled.genericTerms.test(processedText)
+      : false;
+  }
+
+  // Find the first venue in mapping order whose patterns match
+  function findCompiledVenue(lowerVenue, compiled) {
+    for (const venue of compiled.venues) {
+      // Check negative patterns first (if any)
+      if (venue.negative && venue.negative.test(lowerVenue)) continue;
+      if (venue.positive.test(lowerVenue)) return venue;
+    }
+    return null;
+  }
+
+  // Turn unmatched text into a readable venue name
+  // "Proceedings of the 5th Foo Symposium, 12-20" -> "Foo Symposium"
+  function cleanFallbackVenue(processedText, minLength) {
+    let fallbackVenue = processedText.split(/[,.(]/)[0].trim();
+
+    // Remove common prefixes
+    fallbackVenue = fallbackVenue.replace(
+      /^(proceedings of the |proceedings of |proceedings |proc\.?\s+|the\s+)/i,
+      ""
+    );
+    fallbackVenue = fallbackVenue.replace(/^\d{4}\s+/, "");
+    fallbackVenue = fallbackVenue.replace(/^\d+(?:st|nd|rd|th)\s+/i, "");
+    fallbackVenue = fallbackVenue.trim();
+
+    // Clean up suffixes
+    fallbackVenue = fallbackVenue.replace(/\s+(proceedings|proc\.?)$/i, "");
+    fallbackVenue = fallbackVenue.replace(/\s+\d{4}$/, "");
+    fallbackVenue = fallbackVenue.replace(/\s+\d+$/, "");
+    fallbackVenue = fallbackVenue.trim();
+
+    // Final check
+    return fallbackVenue.length < minLength ? null : fallbackVenue;
+  }
+
+  function normalizeCompiled(venueText, compiled) {
+    const processedText = runPreprocessing(venueText, compiled);
+    if (isSkipped(processedText, compiled)) {
+      return null;
+    }
+
+    const lowerVenue = processedText.toLowerCase();
+
+    // User-defined rules take precedence over the bundled mapping
+    const userRule = compiled.userRules.find((entry) =>
+      entry.regex.test(lowerVenue)
+    );
+    if (userRule) {
+      return {
+        venue: userRule.rule.venue,
+        category: userRule.rule.category || null,
+        type: userRule.rule.type || null,
+        tier: userRule.rule.tier || null,
+        top: isTopVenue(userRule.rule, compiled),
+        source: "user",
+      };
+    }
+
+    const mapped = findCompiledVenue(lowerVenue, compiled);
+    if (mapped) {
+      // Workshops are detected on the raw text, before preprocessing
+      const isWorkshop =
+        mapped.venueConfig.type === "conference" &&
+        compiled.workshopPatterns !== null &&
+        compiled.workshopPatterns.test(venueText);
+
+      // Workshops do not inherit the tier of their main conference
+      return {
+        venue: isWorkshop
+          ? mapped.venueKey + compiled.workshopSuffix
+          : mapped.venueKey,
+        category: mapped.categoryKey,
+        type: mapped.venueConfig.type || null,
+        tier: isWorkshop ? null : mapped.venueConfig.tier || null,
+        top: isWorkshop ? false : isTopVenue(mapped.venueConfig, compiled),
+        source: "mapping",
+      };
+    }
+
+    // Fallback: return cleaned venue name if no match found
+    const fallbackVenue = cleanFallbackVenue(processedText, compiled.minLength);
+    if (!fallbackVenue) return null;
+
+    return {
+      venue: fallbackVenue,
+      category: null,
+      type: null,
+      tier: null,
+      top: false,
+      source: "fallback",
+    };
+  }
+
+  // Compile a mapping into a reusable matcher
+  // Identical raw strings are looked up in a cache instead of re-matched, so
+  // build one matcher per analysis rather than calling normalizeVenue per row
+  function createMatcher(mapping) {
+    const compiled = compileMapping(mapping);
+    const cache = new Map();
+
+    return {
+      // Returns { venue, category, type, tier, top, source } or null when the text
+      // should be skipped. Results are shared between calls: do not mutate
+      normalize(venueText) {
+        if (!venueText) return null;
+        if (cache.has(venueText)) return cache.get(venueText);
+
+        const match = normalizeCompiled(venueText, compiled);
+        cache.set(venueText, match);
+        return match;
+      },
+      get cacheSize() {
+        return cache.size;
+      },
+    };
+  }
+
+  // Venue fields of a publication for a normalizer match, or empty ones
+  function venueFields(match) {
+    return {
+      venue: match ? match.venue : null,
+      category: match ? match.category : null,
+      venueType: match ? match.type : null,
+      tier: match ? match.tier : null,
+      top: match ? match.top : false,
+      matchSource: match ? match.source : null,
+    };
+  }
+
+  // Normalize venue using JSON mapping
+  // User rules (mapping.user_rules) are tried before the mapping's categories
+  // Returns { venue, category, type, tier, top, source } or null when the text should be skipped
+  function normalizeVenue(venueText, mapping) {
+    if (!venueText || !mapping) return null;
+    return normalizeCompiled(venueText, compileMapping(mapping));
+  }
+
+  // Strip years, volume/page numbers and similar noise configured in the mapping
+  // Returns the cleaned text (may be empty)
+  function preprocessVenueText(venueText, mapping) {
+    return runPreprocessing(venueText, compileMapping(mapping));
+  }
+
+  // Whether the text is too short or too generic to count as a venue
+  function isSkippedVenueText(processedText, mapping) {
+    return isSkipped(processedText, compileMapping(mapping));
+  }
+
+  // Find the first venue in the mapping whose patterns match
+  // Returns { venueKey, categoryKey, venueConfig } or null
+  function findMappedVenue(lowerVenue, mapping) {
+    const venue = findCompiledVenue(lowerVenue, compileMapping(mapping));
+    return venue
+      ? {
+          venueKey: venue.venueKey,
+          categoryKey: venue.categoryKey,
+          venueConfig: venue.venueConfig,
+        }
+      : null;
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  // Pattern of a user rule saved from the review queue. It matches exactly
+  // the processed texts the rule was made from, so a rule for "Neural
+  // Networks" does not take over "IEEE Transactions on Neural Networks..."
+  function userRulePattern(venueTexts, mapping) {
+    const compiled = compileMapping(mapping);
+    const texts = new Set(
+      venueTexts.map((text) =>
+        escapeRegExp(runPreprocessing(text, compiled).toLowerCase())
+      )
+    );
+    return `^(?:${Array.from(texts).join("|")})$`;
+  }
+
+  const VenueNormalizer = {
+    createMatcher,
+    venueFields,
+    normalizeVenue,
+    preprocessVenueText,
+    isSkippedVenueText,
+    findMappedVenue,
+    cleanFallbackVenue,
+    userRulePattern,
+  };
+
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = VenueNormalizer;
+  } else {
+    root.VenueNormalizer = VenueNormalizer;
+  }
+})(typeof self !== "undefined" ? self : this);